@@ -0,0 +1,245 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { parse: parseUrl } = require('url');
+const debug = require('debug')('FixtureServer');
+const { mkdir } = require('./fsUtils');
+
+const INDEX_FILE = 'index.json';
+
+/**
+ * Header which carries the original protocol of the request, phantom talks to the server over plain http only
+ * @type {string}
+ */
+const PROTOCOL_HEADER = 'x-goose-protocol';
+
+const HOP_BY_HOP_HEADERS = [
+  'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'proxy-connection', 'te', 'trailer',
+  'transfer-encoding', 'upgrade', PROTOCOL_HEADER,
+];
+
+/**
+ * @typedef {object} Fixture
+ * @property {number} status
+ * @property {object} headers
+ * @property {string} file name of the body file in fixture directory
+ */
+
+/**
+ * @param {object} headers
+ * @returns {object}
+ */
+function filterHeaders(headers) {
+  return Object.keys(headers).reduce((result, name) => {
+    if (HOP_BY_HOP_HEADERS.indexOf(name.toLowerCase()) === -1) {
+      result[name] = headers[name];
+    }
+    return result;
+  }, {});
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function sha1(value) {
+  return crypto.createHash('sha1').update(value).digest('hex');
+}
+
+/**
+ * @param {http.IncomingMessage} stream
+ * @returns {Promise.<Buffer>}
+ */
+function readBody(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Local http proxy which records responses into fixture directory or serves them back from it.
+ * Recording into the directory recorded before keeps its fixtures, responses of a request recorded again replace
+ * the earlier ones
+ */
+class FixtureServer {
+  /**
+   * @param {string} dir fixture directory
+   * @param {string} mode record or replay
+   */
+  constructor(dir, mode) {
+    if (['record', 'replay'].indexOf(mode) === -1) {
+      throw new Error('Unsupported fixture mode ' + mode);
+    }
+    this._dir = dir;
+    this._mode = mode;
+    this._index = {};
+    this._replayCounters = {};
+    this._recordedKeys = {};
+    this._server = null;
+    this._port = null;
+  }
+
+  /**
+   * @returns {Promise.<number>} port the server listens to
+   */
+  async start() {
+    await mkdir(this._dir);
+    this._index = this._readIndex();
+    this._server = http.createServer((req, res) => {
+      this._handle(req, res).catch((e) => {
+        debug('Request %s %s failed: %s', req.method, req.url, e.message);
+        if (!res.headersSent) {
+          res.writeHead(502, { 'Content-Type': 'text/plain' });
+        }
+        res.end(e.message);
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this._server.once('error', reject);
+      this._server.listen(0, '127.0.0.1', () => resolve());
+    });
+    this._port = this._server.address().port;
+    debug('Fixture server in %s mode listens on %d', this._mode, this._port);
+    return this._port;
+  }
+
+  /**
+   * @returns {Promise}
+   */
+  stop() {
+    if (!this._server) {
+      return Promise.resolve();
+    }
+    const server = this._server;
+    this._server = null;
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  /**
+   * @returns {Proxy}
+   */
+  getProxy() {
+    return { host: '127.0.0.1', port: this._port };
+  }
+
+  /**
+   * Request rule which makes phantom send https requests to this server as plain http
+   * @returns {RequestRule}
+   */
+  getRequestRule() { // eslint-disable-line class-methods-use-this
+    return {
+      url: '^https://',
+      rewrite: { from: '^https://', to: 'http://' },
+      setHeaders: { [PROTOCOL_HEADER]: 'https' },
+    };
+  }
+
+  /**
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @returns {Promise}
+   * @private
+   */
+  async _handle(req, res) {
+    const url = req.headers[PROTOCOL_HEADER] === 'https' ? req.url.replace(/^http:/, 'https:') : req.url;
+    const requestBody = await readBody(req);
+    const key = req.method + ' ' + url + (requestBody.length ? ' ' + sha1(requestBody) : '');
+
+    if (this._mode === 'replay') {
+      this._replay(key, res);
+      return;
+    }
+    await this._record(key, url, req, requestBody, res);
+  }
+
+  /**
+   * @param {string} key
+   * @param {http.ServerResponse} res
+   * @private
+   */
+  _replay(key, res) {
+    const fixtures = this._index[key];
+    if (!fixtures || fixtures.length === 0) {
+      debug('No fixture for %s', key);
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('No fixture for ' + key);
+      return;
+    }
+
+    // responses are served in recorded order, the last one is repeated
+    const counter = this._replayCounters[key] || 0;
+    this._replayCounters[key] = counter + 1;
+    const fixture = fixtures[Math.min(counter, fixtures.length - 1)];
+    debug('Replaying %s', key);
+    res.writeHead(fixture.status, fixture.headers);
+    res.end(fs.readFileSync(path.join(this._dir, fixture.file)));
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} url
+   * @param {http.IncomingMessage} req
+   * @param {Buffer} requestBody
+   * @param {http.ServerResponse} res
+   * @returns {Promise}
+   * @private
+   */
+  async _record(key, url, req, requestBody, res) {
+    const target = parseUrl(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    const response = await new Promise((resolve, reject) => {
+      const request = transport.request({
+        method: req.method,
+        protocol: target.protocol,
+        hostname: target.hostname,
+        port: target.port,
+        path: target.path,
+        headers: filterHeaders(req.headers),
+        rejectUnauthorized: false,
+      }, resolve);
+      request.on('error', reject);
+      request.end(requestBody);
+    });
+    const body = await readBody(response);
+    const headers = filterHeaders(response.headers);
+
+    const fixtures = this._recordedKeys[key] ? this._index[key] : [];
+    this._recordedKeys[key] = true;
+    const file = sha1(key) + '.' + fixtures.length + '.body';
+    fs.writeFileSync(path.join(this._dir, file), body);
+    fixtures.push({ status: response.statusCode, headers, file });
+    this._index[key] = fixtures;
+    this._writeIndex();
+    debug('Recorded %s', key);
+
+    res.writeHead(response.statusCode, headers);
+    res.end(body);
+  }
+
+  /**
+   * @returns {object}
+   * @private
+   */
+  _readIndex() {
+    const indexFile = path.join(this._dir, INDEX_FILE);
+    if (!fs.existsSync(indexFile)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(indexFile, 'utf-8'));
+  }
+
+  /**
+   * @private
+   */
+  _writeIndex() {
+    fs.writeFileSync(path.join(this._dir, INDEX_FILE), JSON.stringify(this._index, null, '  '), 'utf-8');
+  }
+}
+
+module.exports = FixtureServer;
@@ -0,0 +1,125 @@
+/**
+ * @typedef {object} HumanizeOptions
+ * @property {?number} seed makes the generated movements and delays reproducible
+ * @property {?Array.<number>} clickDelay [min, max] delay in ms between mousedown and mouseup
+ * @property {?Array.<number>} keyDelay [min, max] delay in ms between key strokes
+ * @property {?Array.<number>} moveDelay [min, max] delay in ms between mouse moves along the path
+ * @property {?number} scrollChance probability of a random scroll before a mouse action, 0-1
+ */
+const defaultOptions = {
+  seed: null,
+  clickDelay: [50, 150],
+  keyDelay: [60, 220],
+  moveDelay: [5, 20],
+  scrollChance: 0.1,
+};
+
+/**
+ * Small seeded random generator (mulberry32)
+ * @param {number} seed
+ * @returns {function(): number}
+ */
+function createRandom(seed) {
+  let state = seed >>> 0; // eslint-disable-line no-bitwise
+  /* eslint-disable no-bitwise */
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t ^= t + Math.imul(t ^ (t >>> 7), 61 | t);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  /* eslint-enable no-bitwise */
+}
+
+/**
+ * Generates human-like mouse paths, click points and delays
+ */
+class Humanizer {
+  /**
+   * @param {?HumanizeOptions} options
+   */
+  constructor(options = {}) {
+    this._options = Object.assign({}, defaultOptions, options);
+    const seed = this._options.seed === null ? Math.floor(Math.random() * 4294967296) : this._options.seed;
+    this._seed = seed;
+    this._random = createRandom(seed);
+  }
+
+  /**
+   * Seed in use, log it to reproduce the session
+   * @returns {number}
+   */
+  getSeed() {
+    return this._seed;
+  }
+
+  /**
+   * @param {number} min
+   * @param {number} max
+   * @returns {number}
+   */
+  between(min, max) {
+    return min + (max - min) * this._random();
+  }
+
+  /**
+   * @param {string} kind click, key or move
+   * @returns {number} delay in ms
+   */
+  getDelay(kind) {
+    const [min, max] = this._options[kind + 'Delay'];
+    return Math.round(this.between(min, max));
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  shouldScroll() {
+    return this._random() < this._options.scrollChance;
+  }
+
+  /**
+   * Random point closer to the center of the box
+   * @param {{left: number, top: number, width: number, height: number}} box
+   * @returns {{x: number, y: number}}
+   */
+  getPointInBox(box) {
+    // average of two uniform values gives a triangular distribution peaking in the middle
+    const offset = size => size * (0.2 + 0.6 * (this._random() + this._random()) / 2);
+    return {
+      x: Math.round(box.left + offset(box.width)),
+      y: Math.round(box.top + offset(box.height)),
+    };
+  }
+
+  /**
+   * Curved path along a cubic bezier curve with random control points
+   * @param {{x: number, y: number}} from
+   * @param {{x: number, y: number}} to
+   * @returns {Array.<{x: number, y: number}>} points excluding `from` and including `to`
+   */
+  getPath(from, to) {
+    const distance = Math.hypot(to.x - from.x, to.y - from.y);
+    const steps = Math.max(2, Math.min(50, Math.round(distance / 15)));
+    const spread = Math.max(distance * 0.3, 10);
+    const control = ratio => ({
+      x: from.x + (to.x - from.x) * ratio + this.between(-spread, spread),
+      y: from.y + (to.y - from.y) * ratio + this.between(-spread, spread),
+    });
+    const c1 = control(0.3);
+    const c2 = control(0.7);
+
+    const points = [];
+    for (let i = 1; i <= steps; i += 1) {
+      const t = i / steps;
+      const u = 1 - t;
+      points.push({
+        x: Math.round(u * u * u * from.x + 3 * u * u * t * c1.x + 3 * u * t * t * c2.x + t * t * t * to.x),
+        y: Math.round(u * u * u * from.y + 3 * u * u * t * c1.y + 3 * u * t * t * c2.y + t * t * t * to.y),
+      });
+    }
+    return points;
+  }
+}
+
+module.exports = Humanizer;
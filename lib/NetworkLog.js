@@ -0,0 +1,259 @@
+const { parse: parseUrl } = require('url');
+const pkg = require('../package.json');
+
+/**
+ * @typedef {object} Header
+ * @property {string} name
+ * @property {string} value
+ */
+
+/**
+ * @typedef {object} NetworkLogEntry
+ * @property {number} id
+ * @property {string} url
+ * @property {string} method
+ * @property {Array.<Header>} requestHeaders
+ * @property {Date} startTime
+ * @property {?Date} responseStartTime
+ * @property {?Date} endTime
+ * @property {?number} status
+ * @property {?string} statusText
+ * @property {Array.<Header>} responseHeaders
+ * @property {?string} contentType
+ * @property {number} size body size in bytes, -1 if unknown
+ * @property {?string} redirectUrl
+ * @property {?string} error
+ * @property {boolean} aborted request was aborted by the resources filter or a request rule
+ * @property {?string} rewrittenUrl url which was loaded instead according to a request rule
+ */
+
+/**
+ * @param {*} value time received from phantom
+ * @returns {?Date}
+ */
+function toDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * @param {?Date} from
+ * @param {?Date} to
+ * @returns {number}
+ */
+function diff(from, to) {
+  return from && to ? Math.max(to.getTime() - from.getTime(), 0) : -1;
+}
+
+/**
+ * Collects requests and responses of the page
+ */
+class NetworkLog {
+  constructor() {
+    this._entries = [];
+    this._byId = {};
+    this._startedAt = null;
+    this._url = null;
+  }
+
+  /**
+   * Start a new log for the navigation to url
+   * @param {string} url
+   */
+  reset(url) {
+    this._entries = [];
+    this._byId = {};
+    this._startedAt = new Date();
+    this._url = url;
+  }
+
+  /**
+   * @returns {Array.<NetworkLogEntry>}
+   */
+  getEntries() {
+    return this._entries;
+  }
+
+  /**
+   * Size of the response body loaded from the url, Content-Length is preferred as phantom may report only
+   * the bytes of the first chunk
+   * @param {string} url
+   * @returns {number} size in bytes, -1 if unknown
+   */
+  getBodySize(url) {
+    const target = (url || '').split('#')[0];
+    const entry = this._entries.filter(item => item.url.split('#')[0] === target && item.status !== null).pop();
+    if (!entry) {
+      return -1;
+    }
+    const header = entry.responseHeaders.find(item => item.name && item.name.toLowerCase() === 'content-length');
+    const contentLength = header ? parseInt(header.value, 10) : NaN;
+    return isNaN(contentLength) ? entry.size : contentLength;
+  }
+
+  /**
+   * Restore previously saved entries, e.g. from JSON
+   * @param {Array.<NetworkLogEntry>} entries
+   */
+  restore(entries) {
+    this._entries = entries.map(entry => Object.assign({}, entry, {
+      startTime: toDate(entry.startTime) || new Date(),
+      responseStartTime: toDate(entry.responseStartTime),
+      endTime: toDate(entry.endTime),
+    }));
+    this._byId = {};
+    this._entries.forEach((entry) => {
+      this._byId[entry.id] = entry;
+    });
+    this._startedAt = this._entries.length ? this._entries[0].startTime : new Date();
+  }
+
+  /**
+   * @param {object} requestData data from phantom onResourceRequested
+   */
+  addRequest(requestData) {
+    const entry = {
+      id: requestData.id,
+      url: requestData.url,
+      method: requestData.method || 'GET',
+      requestHeaders: requestData.headers || [],
+      startTime: toDate(requestData.time) || new Date(),
+      responseStartTime: null,
+      endTime: null,
+      status: null,
+      statusText: null,
+      responseHeaders: [],
+      contentType: null,
+      size: -1,
+      redirectUrl: null,
+      error: null,
+      aborted: Boolean(requestData.aborted),
+      rewrittenUrl: requestData.rewrittenUrl || null,
+    };
+    this._entries.push(entry);
+    this._byId[entry.id] = entry;
+  }
+
+  /**
+   * @param {object} response data from phantom onResourceReceived
+   */
+  addResponse(response) {
+    const entry = this._byId[response.id];
+    if (!entry) {
+      return;
+    }
+
+    entry.status = response.status || entry.status;
+    entry.statusText = response.statusText || entry.statusText;
+    entry.contentType = response.contentType || entry.contentType;
+    entry.redirectUrl = response.redirectURL || entry.redirectUrl;
+    if (response.headers && response.headers.length) {
+      entry.responseHeaders = response.headers;
+    }
+    if (typeof response.bodySize === 'number') {
+      entry.size = Math.max(entry.size, response.bodySize);
+    }
+    if (response.stage === 'start') {
+      entry.responseStartTime = toDate(response.time);
+    } else if (response.stage === 'end') {
+      entry.endTime = toDate(response.time);
+    }
+  }
+
+  /**
+   * @param {object} resourceError data from phantom onResourceError or onResourceTimeout
+   */
+  addError(resourceError) {
+    const entry = this._byId[resourceError.id];
+    if (!entry) {
+      return;
+    }
+
+    entry.error = resourceError.errorString || 'Unknown error';
+    entry.status = resourceError.status || entry.status;
+    entry.statusText = resourceError.statusText || entry.statusText;
+    entry.endTime = entry.endTime || new Date();
+  }
+
+  /**
+   * Export log in HAR 1.2 format
+   * @param {?string} [title] page title
+   * @returns {object}
+   */
+  toHar(title) {
+    const startedAt = this._startedAt || new Date();
+    const pageEnd = this._entries.reduce(
+      (max, entry) => (entry.endTime && entry.endTime > max ? entry.endTime : max),
+      startedAt,
+    );
+
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: pkg.name, version: pkg.version },
+        pages: [{
+          startedDateTime: startedAt.toISOString(),
+          id: 'page_1',
+          title: title || this._url || '',
+          pageTimings: { onContentLoad: -1, onLoad: diff(startedAt, pageEnd) },
+        }],
+        entries: this._entries.map(entry => this._toHarEntry(entry)),
+      },
+    };
+  }
+
+  /**
+   * @param {NetworkLogEntry} entry
+   * @returns {object}
+   * @private
+   */
+  _toHarEntry(entry) { // eslint-disable-line class-methods-use-this
+    const wait = Math.max(diff(entry.startTime, entry.responseStartTime), 0);
+    const receive = Math.max(diff(entry.responseStartTime, entry.endTime), 0);
+    const { query } = parseUrl(entry.url, true);
+    const harEntry = {
+      pageref: 'page_1',
+      startedDateTime: entry.startTime.toISOString(),
+      time: wait + receive,
+      request: {
+        method: entry.method,
+        url: entry.url,
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: entry.requestHeaders,
+        queryString: Object.keys(query || {}).map(name => ({ name, value: String(query[name]) })),
+        headersSize: -1,
+        bodySize: -1,
+      },
+      response: {
+        status: entry.status || 0,
+        statusText: entry.statusText || '',
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: entry.responseHeaders,
+        content: { size: Math.max(entry.size, 0), mimeType: entry.contentType || '' },
+        redirectURL: entry.redirectUrl || '',
+        headersSize: -1,
+        bodySize: entry.size,
+      },
+      cache: {},
+      timings: { send: 0, wait, receive },
+    };
+    if (entry.aborted) {
+      harEntry._aborted = true; // eslint-disable-line no-underscore-dangle
+    }
+    if (entry.rewrittenUrl) {
+      harEntry._rewrittenUrl = entry.rewrittenUrl; // eslint-disable-line no-underscore-dangle
+    }
+    if (entry.error) {
+      harEntry._error = entry.error; // eslint-disable-line no-underscore-dangle
+    }
+
+    return harEntry;
+  }
+}
+
+module.exports = NetworkLog;
@@ -3,20 +3,53 @@ const sample = require('lodash.sample');
 const clone = require('lodash.clone');
 const AbstractEnvironment = require('goose-abstract-environment');
 const debugLib = require('debug');
-const phantom = require('phantom');
 const path = require('path');
-const mkdirp = require('mkdirp');
 const { parse: parseUrl } = require('url');
-const fs = require('fs');
+const os = require('os');
+const { EventEmitter } = require('events');
+const ProxyPool = require('./ProxyPool');
+const NetworkLog = require('./NetworkLog');
+const { compileRequestRule, serializePattern } = require('./requestRules');
+const cookieUtils = require('./cookies');
+const { pickProfile, getProfileHeaders, createNavigatorPatch } = require('./profiles');
+const { saveBundle, loadBundle } = require('./bundle');
+const FixtureServer = require('./FixtureServer');
+const { getKeyCode, getModifierMask } = require('./keyboard');
+const Humanizer = require('./Humanizer');
+const PhantomPool = require('./PhantomPool');
+const { createPhantom } = require('./phantomProcess');
+const errors = require('./errors');
+const { isDownload, saveDownload } = require('./downloads');
+const serialization = require('./serialization');
+const { mkdir, writeFile, readFile, unlink } = require('./fsUtils');
 
 const debug = debugLib('PhantomEnvironment');
 const phantomError = debugLib('Phantom:error');
 const debugParser = debugLib('RedParser');
 
-function mkdir(...args) {
-  return new Promise((resolve, reject) => mkdirp(...args, e => (e ? reject(e) : resolve())));
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Prefix of the url the page requests on setup to run the phantom side request handler, such requests are
+ * aborted and not tracked
+ * @type {string}
+ */
+const PAGE_SETUP_URL = 'data:text/javascript,/*goose-page-setup-';
+let pageSetupCounter = 0;
+
+/**
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isPageSetupUrl(url) {
+  return typeof url === 'string' && url.indexOf(PAGE_SETUP_URL) === 0;
+}
+
+// tells apart temporary snapshot files of environments taken in the same millisecond
+let snapshotCounter = 0;
+
 /**
  * @typedef {object} Proxy
  * @property {string} host
@@ -43,18 +76,164 @@ function mkdir(...args) {
  * @property {number} code
  */
 
+/**
+ * type=selector
+ * @typedef {ProxyIndicator} SelectorProxyIndicator
+ * @property {string} selector matches if element is present on the loaded page
+ */
+
+/**
+ * type=text
+ * @typedef {ProxyIndicator} TextProxyIndicator
+ * @property {string|RegExp} text matches against the body text of the loaded page
+ */
+
+/**
+ * type=title
+ * @typedef {ProxyIndicator} TitleProxyIndicator
+ * @property {string|RegExp} title matches against the title of the loaded page
+ */
+
+/**
+ * type=bodySize
+ * @typedef {ProxyIndicator} BodySizeProxyIndicator
+ * @property {number} minSize matches if the body of the loaded document is smaller than `minSize` bytes.
+ * Size of the markup in characters is compared if the network log does not know the body size, e.g. after setContent()
+ */
+
+/**
+ * type=captcha
+ * Accepts any combination of `selector`, `text`, `title` and `minSize` properties, matches if any of them does
+ * @typedef {ProxyIndicator} CaptchaProxyIndicator
+ */
+
+/**
+ * Indicators which are checked against the loaded document
+ * @type {Array.<string>}
+ */
+const contentIndicatorTypes = ['selector', 'text', 'title', 'bodySize', 'captcha'];
+
 /**
  * @typedef {object} Resources
  * @property {?Array.<string>} allowed Only `allowed` resources will be loaded. Have higher priority than `denied`
  * @property {?Array.<string>} denied All except `denied` resources will be loaded
  */
 
+/**
+ * @typedef {object} RetryPolicy
+ * @property {?number} maxAttempts total amount of navigation attempts made by goto()
+ * @property {?number} backoff delay in ms before the second attempt
+ * @property {?number} backoffFactor multiplier of the delay for every next attempt
+ * @property {?Array.<string>} levels proxy indicator levels which trigger a retry, pages which failed to load
+ * are always retried
+ */
+
+/**
+ * @typedef {object} PageContext
+ * @property {number} id
+ * @property {object} page phantom page
+ * @property {?number} openerId id of the page which opened this one
+ * @property {?string} url url passed to goto()
+ * @property {?string} currentUrl url of the loaded document
+ * @property {Array.<string>} redirectUrls redirect targets since the last goto()
+ * @property {Array.<HistoryEntry>} history documents requested by the page
+ * @property {Array.<RedirectHop>} redirectChain redirects which led to the current document
+ * @property {boolean} navigating goto() is waiting for its own navigation request
+ * @property {Array.<Error>} proxyErrors
+ * @property {NetworkLog} networkLog
+ * @property {object} inflightRequests method, url, headers and postData of unfinished requests by id
+ * @property {Array.<Dialog>} dialogs dialogs shown by the page
+ * @property {Array.<number>} framePath indexes of the frames from the main frame to the current one
+ */
+
+/**
+ * @typedef {object} HistoryEntry
+ * @property {string} url
+ * @property {?number} status http status of the response, null until it is received or for cached documents
+ * @property {string} cause goto, http, meta, js, link, form, history or reload
+ * @property {Date} time
+ */
+
+/**
+ * @typedef {object} RedirectHop
+ * @property {string} from
+ * @property {string} to
+ * @property {?number} status http status for http redirects, null otherwise
+ * @property {string} cause http, meta or js
+ * @property {Date} time
+ */
+
+/**
+ * @typedef {object} FrameInfo
+ * @property {number} index
+ * @property {?string} name
+ * @property {?string} id
+ * @property {?string} src
+ */
+
+/**
+ * @typedef {object} Dialog
+ * @property {string} type alert, confirm, prompt or file
+ * @property {string} message
+ * @property {?string} defaultValue
+ * @property {*} answer value returned to the page
+ * @property {Date} time
+ */
+
 /**
  * @typedef {object} Screen
  * @property {number} width
  * @property {number} height
  */
 
+/**
+ * @typedef {object} SnapshotOptions
+ * @property {?boolean} fullPage capture the whole scrollable page instead of the screen
+ * @property {?string} selector capture only the element
+ * @property {?string} format png, jpeg or pdf
+ * @property {?number} quality 0-100, used for jpeg
+ * @property {?string} output file, buffer or base64
+ */
+
+/**
+ * @type {Array.<string>}
+ */
+const snapshotFormats = ['png', 'jpeg', 'pdf'];
+
+/**
+ * @type {Array.<number>}
+ */
+const redirectStatuses = [301, 302, 303, 307, 308];
+
+/**
+ * Headers of the page request which are not sent when a download is requested again from node,
+ * they are computed for the new connection or would make the saved file compressed
+ * @type {Array.<string>}
+ */
+const notRepeatedHeaders = ['host', 'content-length', 'connection', 'accept-encoding', 'cookie', 'authorization'];
+
+/**
+ * History entry cause by the navigation type reported by phantom
+ * @type {object}
+ */
+const navigationCauses = {
+  LinkClicked: 'link',
+  FormSubmitted: 'form',
+  FormResubmitted: 'form',
+  BackOrForward: 'history',
+  Reload: 'reload',
+  Other: 'js',
+};
+
+/**
+ * @param {string} url
+ * @param {string} cause
+ * @returns {HistoryEntry}
+ */
+function createHistoryEntry(url, cause) {
+  return { url, status: null, cause, time: new Date() };
+}
+
 /**
  * @param {ProxyIndicator} proxyIndicator
  * @returns {Error}
@@ -71,14 +250,136 @@ function createProxyError(proxyIndicator) {
     case 'captcha':
       msg = 'Captcha handled';
       break;
+    case 'selector':
+      msg = 'Proxy matched selector';
+      break;
+    case 'text':
+      msg = 'Proxy matched text';
+      break;
+    case 'title':
+      msg = 'Proxy matched title';
+      break;
+    case 'bodySize':
+      msg = 'Proxy matched body size';
+      break;
     default:
       throw new Error('Unsupported proxyIndicator');
   }
-  const err = new Error(msg);
-  err.proxyIndicator = proxyIndicator.type;
-  err.proxyLevel = proxyIndicator.level || 'medium';
+  return new errors.ProxyError(msg, proxyIndicator);
+}
+
+/**
+ * @param {string} url
+ * @param {Array.<Error>} attempts errors of every attempt
+ * @returns {Error}
+ */
+function createRetryError(url, attempts) {
+  const messages = attempts.map((error, index) => '#' + (index + 1) + ' ' + error.message);
+  return new errors.NavigationError(
+    `Page ${url} failed after ${attempts.length} attempts: ${messages.join('; ')}`, url, attempts,
+  );
+}
+
+/**
+ * @param {Array.<HttpCredentials>} credentialsList
+ * @param {string} url
+ * @returns {?HttpCredentials} credentials of the host or its parent domain
+ */
+function findHttpCredentials(credentialsList, url) {
+  const host = (parseUrl(url).hostname || '').toLowerCase();
+  return credentialsList.find(item =>
+    host === item.host.toLowerCase() || host.endsWith('.' + item.host.toLowerCase()),
+  ) || null;
+}
+
+/**
+ * @param {HttpCredentials} credentials
+ * @returns {string}
+ */
+function getBasicAuthorization(credentials) {
+  return 'Basic ' + Buffer.from(credentials.username + ':' + credentials.password, 'utf-8').toString('base64');
+}
+
+/**
+ * @param {string} subject what was awaited
+ * @param {number} timeout
+ * @returns {Error}
+ */
+function createWaitTimeoutError(subject, timeout) {
+  return new errors.TimeoutError(subject, null, timeout, timeout);
+}
+
+/**
+ * @param {Promise} promise
+ * @param {number} timeout 0 disables the timeout
+ * @param {function(number): Error} createError receives elapsed ms
+ * @param {Function} [onLateResult] receives the result which came after the timeout, e.g. to clean it up
+ * @returns {Promise}
+ */
+function withTimeout(promise, timeout, createError, onLateResult) {
+  if (!timeout) {
+    return promise;
+  }
+  const startedAt = Date.now();
+  return new Promise((resolve, reject) => {
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      reject(createError(Date.now() - startedAt));
+    }, timeout);
+    promise.then((result) => {
+      clearTimeout(timer);
+      if (timedOut) {
+        if (onLateResult) {
+          onLateResult(result);
+        }
+        return;
+      }
+      resolve(result);
+    }, (e) => {
+      clearTimeout(timer);
+      reject(e);
+    });
+  });
+}
+
+/**
+ * @param {Function} check async function resolving to boolean, every call is limited by the remaining time,
+ * so a check which never settles, e.g. evaluation on a frozen page, does not block the wait
+ * @param {number} timeout
+ * @param {number} interval
+ * @param {string} subject
+ * @returns {Promise}
+ */
+async function poll(check, timeout, interval, subject) {
+  const startedAt = Date.now();
+  const attempt = async () => {
+    const remaining = Math.max(timeout - (Date.now() - startedAt), 1);
+    if (await withTimeout(Promise.resolve().then(check), remaining, () => createWaitTimeoutError(subject, timeout))) {
+      return;
+    }
+    if (Date.now() - startedAt + interval > timeout) {
+      throw createWaitTimeoutError(subject, timeout);
+    }
+    await delay(interval);
+    await attempt();
+  };
+  await attempt();
+}
 
-  return err;
+/**
+ * Pages opened by the site come from the bridge without the node side wrappers which `phantom.createPage()` adds
+ * @param {object} page
+ * @returns {object}
+ */
+function wrapChildPage(page) {
+  /* eslint-disable no-underscore-dangle */
+  page._evaluate = page.evaluate;
+  page.evaluate = (fn, cb, ...args) => page._evaluate(fn.toString(), cb, ...args);
+  page._onResourceRequested = page.onResourceRequested;
+  page.onResourceRequested = (fn, cb, ...args) => page._onResourceRequested(fn.toString(), cb, ...args);
+  /* eslint-enable no-underscore-dangle */
+  return page;
 }
 
 /**
@@ -118,56 +419,179 @@ function extractRedirectUrl(resource) {
   return redirectUrl ? getRedirectUrl(resource.url, redirectUrl) : '';
 }
 
+/**
+ * Page function which tells whether the document has the marker, markers are non-enumerable and can not be
+ * redefined, so the page can neither list them nor replace them with its own globals
+ * @param {string} name
+ * @returns {boolean}
+ */
+/* @covignore */
+function isDocumentMarked(name) {
+  const descriptor = Object.getOwnPropertyDescriptor(window, name); // eslint-disable-line no-undef
+  return Boolean(descriptor && descriptor.value === true && !descriptor.enumerable && !descriptor.configurable);
+}
+
+/**
+ * @typedef {object} AutoRestartOptions
+ * @property {?number} maxRestarts crashes after that many restarts are not recovered
+ * @property {?boolean} navigate navigate to the last url after restart
+ */
+
+/**
+ * Answers given to JavaScript dialogs of the page
+ * @typedef {object} DialogOptions
+ * @property {?boolean} accept answer to confirm() and whether prompt() is accepted
+ * @property {?string} promptText text entered into prompt(), its default value is used if null
+ * @property {?string} file path returned to the file picker
+ * @property {?Array.<{type: ?string, message: ?string, accept: ?boolean, promptText: ?string}>} rules
+ * answers for dialogs which message matches the regular expression, the first matching rule wins
+ */
+
+/**
+ * @typedef {object} HttpCredentials
+ * @property {string} host credentials are used for this host and its subdomains
+ * @property {string} username
+ * @property {string} password
+ */
+
 /**
  * @typedef {object} PhantomEnvironmentOptions
- * @property {?number} timeout
+ * @property {?number} timeout resource loading timeout
+ * @property {?number} startTimeout timeout of starting phantom process and creating page, 0 disables it.
+ * Time spent waiting for a free process of the pool is not included
+ * @property {?number} acquireTimeout how long to wait for a free process of the pool, 0 waits without limit
+ * @property {?number} navigationTimeout timeout of page load in goto(), 0 disables it
+ * @property {?number} evaluationTimeout timeout of evaluateJs(), 0 disables it
+ * @property {?boolean} rejectOnPageError evaluateJs() rejects with EvaluationError when the function throws in
+ * the page instead of resolving to null
+ * @property {?number} snapshotTimeout timeout of rendering a snapshot, 0 disables it
+ * @property {?number} waitTimeout default timeout of wait* methods
  * @property {?boolean} weak
  * @property {?boolean} loadImages
  * @property {?boolean} ignoreSslErrors
  * @property {?string} sslProtocol
  * @property {?string} cookiesFile
+ * @property {?Array.<Cookie>|string} cookies cookies or path to JSON or Netscape cookies file which are added to
+ * the jar on prepare
  * @property {?boolean} webSecurity
  * @property {?string} phantomPath
+ * @property {?PhantomPool} pool shared pool of warm phantom processes, the environment leases a process from it
+ * instead of starting its own. The process is leased exclusively and its cookies are cleared on release
+ * @property {?boolean} sharedCookieJar let environments of the pool share one process and so one cookie jar:
+ * sessions of concurrent environments are visible to each other and cookie methods affect all of them.
+ * Ignored when proxies, cookies, bundle or fixtures are used, because those settings are process wide
  *
  * @property {?string} snapshot perform snapshot during parsing
  * @property {?string} snapshotDir directory for snapshots
+ * @property {?boolean} snapshotFullPage capture the whole scrollable page by default
+ * @property {?string} snapshotFormat png, jpeg or pdf
+ * @property {?number} snapshotQuality 0-100, used for jpeg
+ * @property {?string} snapshotOutput file, buffer or base64
+ * @property {?boolean} har write network log in HAR format next to every snapshot
+ * @property {?boolean} snapshotBundle save DOM, url, redirects, cookies and network log next to every snapshot
+ * @property {?string} bundle directory of the saved bundle which is replayed instead of loading pages from network
+ * @property {?string} record fixture directory where all responses are recorded to. Requests go through a local
+ * recording proxy instead of `proxy`, https pages are loaded as http to let it see the traffic. Fixtures recorded
+ * into the directory before are kept unless the same request is recorded again
+ * @property {?string} replay fixture directory recorded before, responses are served from it without network
  * @property {?Proxy|Array.<Proxy>} proxy single proxy or proxy list
  * @property {Array.<ProxyIndicator>} proxyIndicators Indicators which say that proxy became unreachable
- * @property {?function} proxyRotator proxy rotator function(proxyList, currentProxy) with context of this env. function
- * should return Proxy from the list
+ * @property {?function} proxyRotator proxy rotator function(candidateProxyList, currentProxy, proxyStats) with context
+ * of this env. Candidates are the available proxies or, while all of them cool down, the ones recovering first.
+ * function should return Proxy from the list
+ * @property {?ProxyPoolOptions} proxyPool cooldown and failure limits for the proxy list
+ * @property {?RetryPolicy} retry how goto() rotates proxy and navigates again on failures
  * @property {?string|Array.<string>} userAgent user agent or list of agents for setting to phantom
  * @property {?Screen} screen screen dimensions
+ * @property {?Array.<Profile>} profiles browser fingerprints, one of them is used instead of `userAgent` and `screen`
+ * @property {?boolean} profilePerProxy pick profile by the current proxy, so the same proxy always looks the same
+ * @property {?boolean|AutoRestartOptions} autoRestart start new phantom process when the current one crashes
+ * @property {?boolean|HumanizeOptions} humanize move mouse along curved paths, click at random points and add
+ * random delays to the input
+ * @property {?Array.<Function|string>} initScripts functions or paths of script files which are evaluated in every
+ * new document before site scripts
+ * @property {?Array.<string|{code: string}>} vendors paths of script files or inline code which are injected into
+ * every loaded document together with the default vendors
+ * @property {?DialogOptions} dialogs how alert, confirm, prompt and file picker are answered
+ * @property {?Array.<HttpCredentials>} httpCredentials credentials for HTTP authentication, picked by the host of
+ * every request and sent as Basic authorization. The host of the url passed to goto() answers other challenges too
+ * @property {?string} downloadsDir responses with `Content-Disposition: attachment` are requested again with the
+ * method, body and headers of the page request, the page cookies and the current proxy, and saved here together
+ * with `.json` metadata
+ * @property {?Array.<string|RegExp>} downloadContentTypes content types which are saved as downloads even without
+ * attachment disposition, e.g. ['application/pdf'], strings match the beginning of the content type
  * @property {?Resources} resources white and black lists for loading resources on the page
+ * @property {?Array.<RequestRule>} requestRules rules for blocking, rewriting and changing headers of requests
  */
 const defaultOptions = {
   // Phantom options
   timeout: 60 * 1000,
+  startTimeout: 30 * 1000,
+  acquireTimeout: 0,
+  navigationTimeout: 90 * 1000,
+  evaluationTimeout: 30 * 1000,
+  snapshotTimeout: 10 * 1000,
+  rejectOnPageError: false,
+  waitTimeout: 30 * 1000,
   weak: true,
   loadImages: false,
   ignoreSslErrors: true,
   sslProtocol: 'any',
   cookiesFile: null,
+  cookies: null,
   webSecurity: false,
   phantomPath: path.join(require.resolve('phantomjs-prebuilt'), '../../bin/'),
+  pool: null,
+  sharedCookieJar: false,
 
   // Custom environment options
   snapshot: false,
   snapshotDir: 'snapshots',
+  snapshotFullPage: false,
+  snapshotFormat: 'png',
+  snapshotQuality: 100,
+  snapshotOutput: 'file',
+  har: false,
+  snapshotBundle: false,
+  bundle: null,
+  record: null,
+  replay: null,
   proxy: null,
   proxyRotator: null,
+  proxyPool: {},
+  retry: {
+    maxAttempts: 3,
+    backoff: 0,
+    backoffFactor: 2,
+    levels: ['high', 'medium', 'low'],
+  },
   userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_10_4) AppleWebKit/600.7.12 (KHTML, like Gecko) Version/8.0.7 Safari/600.7.12', // eslint-disable-line max-len
   screen: {
     width: 1440,
     height: 900,
   },
+  profiles: null,
+  profilePerProxy: false,
+  autoRestart: false,
+  humanize: false,
+  initScripts: [],
+  vendors: [],
+  dialogs: {
+    accept: false,
+    promptText: null,
+    file: null,
+    rules: [],
+  },
+  httpCredentials: null,
+  downloadsDir: null,
+  downloadContentTypes: [],
   resources: {
     allowed: null,
     denied: null,
   },
+  requestRules: [],
 };
 
-let port = 13200;
-
 class PhantomEnvironment extends AbstractEnvironment {
   /**
    * @param {PhantomEnvironmentOptions} options
@@ -177,26 +601,64 @@ class PhantomEnvironment extends AbstractEnvironment {
     super(options);
 
     this._options = defaults(clone(options) || {}, defaultOptions);
-    this._proxy = this._options.proxy;
+    this._options.retry = defaults(clone(this._options.retry), defaultOptions.retry);
+    this._options.dialogs = defaults(clone(this._options.dialogs), defaultOptions.dialogs);
+    this._proxy = null;
+    this._proxyPool = null;
+    this.setProxy(this._options.proxy);
     this._proxyIndicators = this._options.proxyIndicators || [];
-    this._proxyErrors = [];
     this._proxyCurrent = null;
     this._url = options.url;
-    this._redirectUrls = [];
+    this._pages = [];
+    this._pageIdCounter = 0;
+    this._context = this._createPageContext(null, null);
+    this._requestRules = this._options.requestRules.slice();
+    this._profile = null;
+    this._bundle = null;
+    this._fixtureServer = null;
+    this._emitter = new EventEmitter();
+    this._mousePosition = { x: 0, y: 0 };
+    this._hoveredSelector = null;
+    this._initScripts = [];
+    this._vendors = this._options.vendors.slice();
+    this._httpCredentials = (this._options.httpCredentials || []).slice();
+    this._downloads = [];
+    this._humanizer = null;
+    if (this._options.humanize) {
+      this._humanizer = new Humanizer(this._options.humanize === true ? {} : this._options.humanize);
+      debug('Humanized input with seed %d', this._humanizer.getSeed());
+    }
+    if (this._options.autoRestart) {
+      this._options.autoRestart = defaults(
+        this._options.autoRestart === true ? {} : clone(this._options.autoRestart),
+        { maxRestarts: 3, navigate: true },
+      );
+    }
+    this._restarts = 0;
+    this._restarting = null;
+    this._pendingRejects = new Set();
+    this._lastCookies = null;
+    this._crashError = null;
     this._phantomJS = null;
+    this._lease = null;
+    this._leaseExclusive = false;
     this._page = null;
     this._exitHandlers = [];
-    this._browserEnvInjected = false;
   }
 
   async prepare() {
     debug('Preparing...');
     await super.prepare();
     await this._setup();
-    await this._setViewport();
-    await this._setUserAgent();
-    await this._setTimeout();
-    await this._handlePhantomEvents();
+    await this._loadCookies();
+    await this._loadBundle();
+    await this._startFixtureServer();
+    this._profile = pickProfile(this._options.profiles);
+    await this._options.initScripts.reduce(
+      (promise, initScript) => promise.then(() => this.addInitScript(initScript)),
+      Promise.resolve(),
+    );
+    await this._setupPage(this._context);
     await this._rotateProxy();
     if (this._url) {
       await this.goto(this._url);
@@ -207,19 +669,106 @@ class PhantomEnvironment extends AbstractEnvironment {
     if (!url) {
       throw new Error('Missing url parameter passed to PhantomEnvironment');
     }
+    if (this._restarting) {
+      await this._restarting;
+    }
+    return this._goto(url);
+  }
+
+  /**
+   * @param {string} url
+   * @returns {Promise}
+   * @private
+   */
+  _goto(url) {
     this._url = url;
-    this._proxyErrors = [];
-    this._redirectUrls = [];
+    this._context.url = url;
+    this._context.networkLog.reset(url);
+    return this._gotoAttempt(url, []);
+  }
+
+  /**
+   * Navigate to url, rotate proxy and navigate again according to the retry policy
+   * @param {string} url
+   * @param {Array.<Error>} attempts errors of previous attempts
+   * @returns {Promise}
+   * @private
+   */
+  async _gotoAttempt(url, attempts) {
+    this._context.proxyErrors = [];
+    this._context.redirectUrls = [];
+    this._context.redirectChain = [];
+    this._context.inflightRequests = {};
     this._callbacks = [];
+    if (this._context.framePath.length > 0) {
+      await this.switchToMainFrame();
+    }
+    this._context.history.push(createHistoryEntry(url, 'goto'));
+    this._context.navigating = true;
+
+    try {
+      await this._navigateTo(url);
+      this._context.navigating = false;
+      await this._detectMetaRefresh();
+      await this._injectVendors();
+      await this._checkContentIndicators();
+      this._reportProxyHealth();
+      await this._validateProxy();
+      if (this._options.autoRestart) {
+        // jar dies together with the process, keep its copy for restart
+        this._lastCookies = await this.getCookies();
+      }
+    } catch (e) {
+      this._context.navigating = false;
+      attempts.push(e);
+      if (!await this._prepareRetry(e, attempts.length)) {
+        throw attempts.length === 1 ? e : createRetryError(url, attempts);
+      }
+      return this._gotoAttempt(url, attempts);
+    }
 
-    await this._navigateTo(url);
-    await this._validateProxy();
-    await this._injectFiles(this._getVendors());
     return this._page;
   }
 
+  /**
+   * Rotate proxy and wait for backoff if the failed attempt should be retried
+   * @param {Error} error
+   * @param {number} attempt number of the failed attempt
+   * @returns {Promise.<boolean>}
+   * @private
+   */
+  async _prepareRetry(error, attempt) {
+    const { maxAttempts, backoff, backoffFactor, levels } = this._options.retry;
+    if (attempt >= maxAttempts || error instanceof errors.PhantomCrashError) {
+      return false;
+    }
+    if (error.proxyIndicator && levels.indexOf(error.proxyLevel) === -1) {
+      return false;
+    }
+
+    let proxy;
+    try {
+      proxy = await this._rotateProxy();
+    } catch (e) {
+      debug('Cannot rotate proxy for retry: %s', e.message);
+      return false;
+    }
+    // cannot set new proxy
+    if (proxy === null) {
+      return false;
+    }
+
+    const wait = backoff * (backoffFactor ** (attempt - 1));
+    debug('Retrying %s in %d ms, attempt %d of %d', this._url, wait, attempt + 1, maxAttempts);
+    if (wait > 0) {
+      await delay(wait);
+    }
+    return true;
+  }
+
   setProxy(proxy) {
     this._proxy = proxy;
+    this._proxyPool = Array.isArray(proxy) ? new ProxyPool(proxy, this._options.proxyPool) : null;
     return this;
   }
 
@@ -227,187 +776,1459 @@ class PhantomEnvironment extends AbstractEnvironment {
     return this._proxy;
   }
 
-  getOption(name) {
-    return this._options[name];
+  /**
+   * @param {Proxy} [proxy] stats of all proxies keyed by host:port if omitted
+   * @returns {?ProxyStats|object}
+   */
+  getProxyStats(proxy) {
+    return this._proxyPool ? this._proxyPool.getStats(proxy) : null;
   }
 
-  evaluateJs(...args) {
-    return new Promise((resolve, reject) => {
-      const page = this._page;
-
-      const evalFunc = args.pop();
-      if (typeof evalFunc !== 'function') {
-        reject(new Error('You must pass function as last argument to PhantomEnvironment.evaluateJs'));
-        return;
-      }
-      args.unshift(evalFunc, results => resolve(results));
-
-      page.evaluate(...args);
-    });
+  /**
+   * Requests and responses made since the last goto()
+   * @returns {Array.<NetworkLogEntry>}
+   */
+  getNetworkLog() {
+    return this._context.networkLog.getEntries();
   }
 
   /**
-   * Take screen snapshot
+   * Write network log in HAR 1.2 format to the snapshot directory
    * @param {string} fileName
-   * @returns {Promise}
+   * @returns {Promise.<string>} path of the written file
    */
-  async snapshot(fileName) {
-    const options = this._options;
-    if (!options.snapshot) {
-      return;
-    }
-
-    const screenShotFilePath = path.join(options.snapshotDir, parseUrl(this._url).hostname);
-    const screenShotFileName = path.join(screenShotFilePath, fileName + '.png');
-    debug('.snapshot() to %s', screenShotFileName);
-    await mkdir(screenShotFilePath);
-
-    const windowSize = {
-      left: 0,
-      top: 0,
-      width: options.screen.width,
-      height: options.screen.height,
-    };
-    this._page.clipRect = windowSize;
-    debug('Doing snapshot with window size %o, filepath %s', windowSize, screenShotFileName);
-    this._page.render(screenShotFileName);
-
-    await new Promise((resolve, reject) => {
-      let timeout;
+  async saveHar(fileName) {
+    const harFilePath = path.join(this._options.snapshotDir, parseUrl(this._url).hostname);
+    const harFileName = path.join(harFilePath, fileName + '.har');
+    debug('.saveHar() to %s', harFileName);
+    await mkdir(harFilePath);
+    await writeFile(harFileName, JSON.stringify(this._context.networkLog.toHar(this._url), null, '  '), 'utf-8');
+    return harFileName;
+  }
 
-      const interval = setInterval(() => {
-        if (fs.statSync(screenShotFilePath).size) {
-          clearInterval(interval);
-          clearTimeout(timeout);
-          resolve();
+  /**
+   * Save DOM after scripts ran together with url, redirects, cookies and network log to the snapshot directory
+   * @param {string} name
+   * @returns {Promise.<string>} path of the bundle directory
+   */
+  async saveBundle(name) {
+    const bundleDir = path.join(this._options.snapshotDir, parseUrl(this._url).hostname, name);
+    debug('.saveBundle() to %s', bundleDir);
+    const dom = await this.evaluateJs(/* @covignore */ () => {
+      /* eslint-disable no-undef */
+      const root = document.documentElement.cloneNode(true);
+      // scripts already did their job, they must not run again on replay
+      Array.prototype.forEach.call(root.querySelectorAll('script'), (script) => {
+        if (!script.type || /javascript|ecmascript|module/i.test(script.type)) {
+          script.setAttribute('data-goose-type', script.type);
+          script.setAttribute('type', 'text/x-goose-disabled');
         }
-      }, 20);
-
-      timeout = setTimeout(() => {
-        clearInterval(interval);
-        reject(new Error('Snapshot timeout'));
-      }, 500);
+      });
+      const doctype = document.doctype ? '<!DOCTYPE ' + document.doctype.name + '>' : '';
+      return { html: doctype + root.outerHTML, url: window.location.href };
+      /* eslint-enable no-undef */
     });
-  }
 
-  back() {
-    debug('Back');
-    this._page.goBack();
-    return Promise.resolve();
+    await saveBundle(bundleDir, {
+      url: this._url,
+      currentUrl: dom.url,
+      redirectUrls: this._context.redirectUrls,
+      cookies: await this.getCookies(),
+      networkLog: this.getNetworkLog(),
+      savedAt: new Date().toISOString(),
+      html: dom.html,
+    }, this._context.networkLog.toHar(this._url));
+    return bundleDir;
   }
 
-  async mouseClick(selector) {
-    const position = await this._getElementPosition(selector);
-    this._page.sendEvent('mousedown', position.x, position.y);
-    this._page.sendEvent('mouseup', position.x, position.y);
+  /**
+   * Create environment which replays saved bundle instead of loading pages from network
+   * @param {string} bundleDir
+   * @param {?PhantomEnvironmentOptions} [options]
+   * @returns {PhantomEnvironment}
+   */
+  static fromBundle(bundleDir, options) {
+    return new PhantomEnvironment(Object.assign({}, options, { bundle: bundleDir }));
   }
 
-  async mouseMove(selector) {
-    const position = await this._getElementPosition(selector);
-    this._page.sendEvent('mousemove', position.x, position.y);
+  getOption(name) {
+    return this._options[name];
   }
 
-  async mouseDown(selector) {
-    const position = await this._getElementPosition(selector);
-    this._page.sendEvent('mousedown', position.x, position.y);
+  /**
+   * Evaluate the function in the current frame of the active page.
+   * Arguments and result may contain undefined, NaN, Date, RegExp, Map, Set, Error, functions and cyclic references
+   * @param {...*} args arguments followed by the function or its source
+   * @returns {Promise.<*>}
+   */
+  evaluateJs(...args) {
+    const timeout = this._options.evaluationTimeout;
+    const url = this._url;
+    const evalFunc = args.pop();
+    if (typeof evalFunc !== 'function' && typeof evalFunc !== 'string') {
+      return Promise.reject(new Error('You must pass function as last argument to PhantomEnvironment.evaluateJs'));
+    }
+
+    const source = serialization.createEvaluation(evalFunc.toString(), this._options.rejectOnPageError);
+    const evaluation = this._evaluateSerialized(this._page, source, serialization.encode(args)).then((results) => {
+      if (results && results.error) {
+        throw new errors.EvaluationError(results.error.message, url, results.error.stack);
+      }
+      // phantom gives null when the function throws
+      return results ? serialization.decode(results.value) : null;
+    });
+    return this._guard(withTimeout(
+      evaluation,
+      timeout,
+      elapsed => new errors.EvaluationTimeoutError('evaluation', url, timeout, elapsed),
+    ));
   }
 
-  async mouseUp(selector) {
-    const position = await this._getElementPosition(selector);
-    this._page.sendEvent('mouseup', position.x, position.y);
+  /**
+   * Serializer is installed into the document by the first evaluation which misses it, so its source is not sent
+   * with every call
+   * @param {object} page
+   * @param {string} source page function made by serialization.createEvaluation()
+   * @param {*} encodedArgs
+   * @returns {Promise.<?object>}
+   * @private
+   */
+  async _evaluateSerialized(page, source, encodedArgs) { // eslint-disable-line class-methods-use-this
+    const evaluate = () => new Promise(resolve => page.evaluate(source, resolve, encodedArgs));
+    const results = await evaluate();
+    if (!results || !results.missingSerialization) {
+      return results;
+    }
+    debug('Installing serializer into the document');
+    await new Promise(resolve => page.evaluate(serialization.createInstallation(), resolve));
+    const retried = await evaluate();
+    if (retried && retried.missingSerialization) {
+      throw new Error('Serializer is missing after installation, the document changed or the page took its global. ' +
+        'Evaluation was not performed');
+    }
+    return retried;
   }
 
-  async _getElementPosition(selector) {
-    const position = await this.evaluateJs(selector, /* @covignore */ (selector) => { // eslint-disable-line no-shadow
-      const node = Sizzle(selector)[0]; // eslint-disable-line no-undef
-      if (!node) {
-        return null;
+  /**
+   * Evaluate the function and read its result by chunks, for results too large to be passed at once.
+   * Array result is split into chunks of items, any other result is passed as a single item
+   * @param {Function|string} fn
+   * @param {?object} [chunkOptions]
+   * @param {?Array} [chunkOptions.args] arguments passed to the function
+   * @param {?number} [chunkOptions.chunkSize] items per chunk
+   * @param {?function(Array, number)} [chunkOptions.onChunk] receives every chunk with the offset of its first item,
+   * items are not collected if it is set
+   * @returns {Promise.<*>} the result or the number of items if `onChunk` is set
+   */
+  async evaluateJsChunked(fn, { args = [], chunkSize = 1000, onChunk = null } = {}) {
+    const key = String(Date.now()) + Math.random();
+    const result = await this.evaluateJs(args, key, serialization.createChunkedEvaluation(fn.toString()));
+    if (result.error) {
+      throw new errors.EvaluationError(result.error.message, this._url, result.error.stack);
+    }
+    const { length, isArray } = result.value;
+    debug('.evaluateJsChunked() %d items in chunks of %d', length, chunkSize);
+
+    const items = [];
+    let released = false;
+    try {
+      for (let start = 0; start < length || start === 0; start += chunkSize) {
+        const chunk = await this.evaluateJs(key, start, start + chunkSize, serialization.createChunkReader()); // eslint-disable-line no-await-in-loop, max-len
+        released = start + chunkSize >= length;
+        if (onChunk) {
+          await onChunk(chunk, start); // eslint-disable-line no-await-in-loop
+        } else {
+          items.push(...chunk);
+        }
       }
+    } finally {
+      if (!released) {
+        await this.evaluateJs(key, serialization.createChunkRelease())
+          .catch(e => debug('Cannot release chunked result: %s', e.message));
+      }
+    }
 
-      const rect = node.getBoundingClientRect();
-      return {
-        x: rect.left + rect.width / 2,
-        y: rect.top + rect.height / 2,
-      };
-    });
-
-    if (!position) {
-      throw new Error('Position of element ' + selector + ' was not found');
+    if (onChunk) {
+      return length;
     }
-    debug('Element position is %o', position);
-    return position;
+    return isArray ? items : items[0];
   }
 
   /**
-   * Set up a fresh phantomjs page.
-   * @returns {Promise}
-   * @private
+   * Subscribe to environment events, page events carry `pageId` of the page they come from
+   * - console ({pageId, message}) console message of the page
+   * - pageerror ({pageId, message, trace}) uncaught exception in the page
+   * - request ({pageId, id, url, method, headers, time, aborted, rewrittenUrl}) request is sent or aborted
+   * - response ({pageId, id, url, status, statusText, headers, contentType, time}) response is received
+   * - requestfailed ({pageId, id, url, errorCode, errorString, timedOut}) request failed or timed out
+   * - requestfinished ({pageId, id}) tracked request is done, its response is received or it failed
+   * - redirect ({pageId, from, to, status, cause}) http, meta refresh or javascript redirect
+   * - navigation ({pageId, url, type, willNavigate, main}) page is about to navigate, `type` is the phantom
+   *   navigation type, `main` tells the main frame from subframes
+   * - load ({pageId, status, url}) page load finished, status is success or fail
+   * - dialog ({pageId, type, message, defaultValue, answer}) alert, confirm, prompt or file picker is shown
+   * - download (Download) file offered by the page is saved to `downloadsDir`
+   * - downloadfailed ({pageId, url, error}) file offered by the page could not be saved
+   * - popup ({pageId, openerId}) site opened new page
+   * - close ({pageId}) page is closed by closePage() or by the site
+   * - crash (error) phantom process ended unexpectedly
+   * - restart (restarts) new phantom process is ready after crash
+   * @param {string} eventName
+   * @param {Function} listener
+   * @returns {PhantomEnvironment}
    */
-  async _setup() {
-    await this._createInstance();
-    await this._createPage();
+  on(eventName, listener) {
+    this._emitter.on(eventName, listener);
+    return this;
   }
 
   /**
-   * Create a phantomjs instance.
+   * @param {string} eventName
+   * @param {Function} listener
+   * @returns {PhantomEnvironment}
+   */
+  off(eventName, listener) {
+    this._emitter.removeListener(eventName, listener);
+    return this;
+  }
+
+  /**
+   * Reject the promise if phantom process crashes before it is settled, bridge callbacks never come in that case
+   * @param {Promise} promise
    * @returns {Promise}
    * @private
    */
-  _createInstance() {
-    return new Promise((resolve) => {
-      const options = this._options;
-      const flags = [];
-      debug('.createInstance() creating Phantom instance with options %o', options);
-      flags.push('--load-images=' + options.loadImages);
-      flags.push('--ignore-ssl-errors=' + options.ignoreSslErrors);
-      flags.push('--ssl-protocol=' + options.sslProtocol);
-      flags.push('--web-security=' + options.webSecurity);
-
-      if (options.cookiesFile !== null) {
-        flags.push('--cookies-file=' + options.cookiesFile);
-      }
-
-      // dnode options for compilation on windows
-      let dnodeOpts = {};
-      if (options.weak === false) {
-        dnodeOpts = { weak: false };
-      }
-
-      // combine flags, options and callback into args
-      const args = flags;
-      args.push({
-        port: options.port || (port += 1),
-        dnodeOpts,
-        path: options.phantomPath,
-        onExit: this._handleExit.bind(this),
-      });
-      args.push((instance) => {
-        this._phantomJS = instance;
-        resolve(instance);
+  _guard(promise) {
+    if (this._crashError) {
+      // the operation may have failed already on the missing page, the crash is the reason to report
+      promise.catch(() => {});
+      return Promise.reject(this._crashError);
+    }
+    return new Promise((resolve, reject) => {
+      this._pendingRejects.add(reject);
+      promise.then((result) => {
+        this._pendingRejects.delete(reject);
+        resolve(result);
+      }, (e) => {
+        this._pendingRejects.delete(reject);
+        reject(e);
       });
-      phantom.create(...args);
     });
   }
 
   /**
-   * Creates new page in phantom
+   * Methods which call the page synchronously check it first, otherwise they fail on the missing page
+   * @throws {PhantomCrashError} if phantom crashed and was not restarted
+   * @private
+   */
+  _assertAlive() {
+    if (this._crashError) {
+      throw this._crashError;
+    }
+  }
+
+  /**
+   * Take screen snapshot
+   * @param {string} fileName
+   * @param {?SnapshotOptions} [snapshotOptions] overrides snapshot options of the environment
+   * @returns {Promise.<?string|Buffer>} file path, Buffer or base64 string depending on `output`
+   */
+  async snapshot(fileName, snapshotOptions = {}) {
+    const options = this._options;
+    if (!options.snapshot) {
+      return null;
+    }
+
+    if (options.har) {
+      await this.saveHar(fileName);
+    }
+    if (options.snapshotBundle) {
+      await this.saveBundle(fileName);
+    }
+
+    const {
+      fullPage = options.snapshotFullPage,
+      selector = null,
+      format = options.snapshotFormat,
+      quality = options.snapshotQuality,
+      output = options.snapshotOutput,
+    } = snapshotOptions;
+    if (snapshotFormats.indexOf(format) === -1) {
+      throw new Error('Unsupported snapshot format ' + format);
+    }
+
+    let clipRect = {
+      left: 0,
+      top: 0,
+      width: options.screen.width,
+      height: options.screen.height,
+    };
+    if (selector) {
+      clipRect = await this._getElementRect(selector);
+    } else if (fullPage) {
+      // empty clip rect makes phantom render the whole page
+      clipRect = { left: 0, top: 0, width: 0, height: 0 };
+    }
+
+    let screenShotFileName;
+    if (output === 'file') {
+      const screenShotFilePath = path.join(options.snapshotDir, parseUrl(this._url).hostname);
+      screenShotFileName = path.join(screenShotFilePath, fileName + '.' + format);
+      await mkdir(screenShotFilePath);
+    } else {
+      snapshotCounter += 1;
+      screenShotFileName = path.join(os.tmpdir(),
+        `goose-snapshot-${process.pid}-${Date.now()}-${snapshotCounter}.${format}`);
+    }
+    debug('.snapshot() to %s', screenShotFileName);
+
+    await new Promise(resolve => this._page.set('clipRect', clipRect, () => resolve()));
+    debug('Doing snapshot with clip rect %o, filepath %s', clipRect, screenShotFileName);
+    await this._render(screenShotFileName, { format, quality: String(quality) });
+
+    if (output === 'file') {
+      return screenShotFileName;
+    }
+
+    const content = await readFile(screenShotFileName);
+    await unlink(screenShotFileName);
+    return output === 'base64' ? content.toString('base64') : content;
+  }
+
+  /**
+   * @param {string} filePath
+   * @param {object} renderOptions
+   * @returns {Promise}
+   * @private
+   */
+  _render(filePath, renderOptions) {
+    const timeout = this._options.snapshotTimeout;
+    const url = this._url;
+    return this._guard(withTimeout(
+      new Promise(resolve => this._page.render(filePath, renderOptions, () => resolve())),
+      timeout,
+      elapsed => new errors.SnapshotTimeoutError('snapshot', url, timeout, elapsed),
+    ));
+  }
+
+  /**
+   * @param {string} [domain] cookies of all domains if omitted
+   * @returns {Promise.<Array.<Cookie>>}
+   */
+  getCookies(domain) {
+    return this._guard(new Promise((resolve) => {
+      this._phantomJS.getCookies((cookies) => {
+        const normalized = (cookies || []).map(cookieUtils.normalizeCookie);
+        resolve(domain ? normalized.filter(cookie => cookieUtils.matchesDomain(cookie, domain)) : normalized);
+      });
+    }));
+  }
+
+  /**
+   * @param {Cookie|Array.<Cookie>} cookies
+   * @returns {Promise}
+   */
+  async setCookies(cookies) {
+    const list = Array.isArray(cookies) ? cookies : [cookies];
+    debug('.setCookies() %d cookies', list.length);
+    await Promise.all(list.map(cookie => this._guard(new Promise((resolve, reject) => {
+      this._phantomJS.addCookie(cookie, (added) => {
+        if (added === false) {
+          reject(new Error(`Cookie ${cookie.name} for ${cookie.domain} was not added`));
+          return;
+        }
+        resolve();
+      });
+    }))));
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} [domain] cookies with this name are deleted for all domains if omitted
+   * @returns {Promise}
+   */
+  async deleteCookie(name, domain) {
+    const cookies = await this.getCookies();
+    await this._replaceCookies(cookies.filter(cookie =>
+      cookie.name !== name || (domain && !cookieUtils.matchesDomain(cookie, domain)),
+    ));
+  }
+
+  /**
+   * @param {string} [domain] whole jar is cleared if omitted
+   * @returns {Promise}
+   */
+  async clearCookies(domain) {
+    const cookies = domain ? await this.getCookies() : [];
+    await this._replaceCookies(cookies.filter(cookie => !cookieUtils.matchesDomain(cookie, domain)));
+  }
+
+  /**
+   * @param {string} [format] json or netscape
+   * @param {string} [domain] cookies of all domains if omitted
+   * @returns {Promise.<string>}
+   */
+  async exportCookies(format = 'json', domain) {
+    return cookieUtils.serialize(await this.getCookies(domain), format);
+  }
+
+  /**
+   * @param {string} content
+   * @param {string} [format] json or netscape, detected by content if omitted
+   * @returns {Promise}
+   */
+  async importCookies(content, format) {
+    await this.setCookies(cookieUtils.parse(content, format));
+  }
+
+  /**
+   * @param {Array.<Cookie>} cookies
+   * @returns {Promise}
+   * @private
+   */
+  async _replaceCookies(cookies) {
+    await this._guard(new Promise(resolve => this._phantomJS.clearCookies(() => resolve())));
+    if (cookies.length > 0) {
+      await this.setCookies(cookies);
+    }
+  }
+
+  /**
+   * Add cookies from `cookies` option to the jar
+   * @returns {Promise}
+   * @private
+   */
+  async _loadCookies() {
+    const { cookies } = this._options;
+    if (!cookies) {
+      return;
+    }
+    if (typeof cookies === 'string') {
+      debug('Loading cookies from %s', cookies);
+      await this.importCookies(await readFile(cookies, 'utf-8'));
+      return;
+    }
+    await this.setCookies(cookies);
+  }
+
+  async back() {
+    debug('Back');
+    this._assertAlive();
+    this._page.goBack();
+  }
+
+  async forward() {
+    debug('Forward');
+    this._assertAlive();
+    this._page.goForward();
+  }
+
+  /**
+   * @param {{ignoreCache: ?boolean}} [options] ignoreCache reloads the document from the server
+   * @returns {Promise}
+   */
+  async reload({ ignoreCache = false } = {}) {
+    debug('Reload, ignore cache %s', ignoreCache);
+    this._assertAlive();
+    if (ignoreCache) {
+      await this._evaluateOn(this._page, /* @covignore */ () => {
+        window.location.reload(true); // eslint-disable-line no-undef
+      });
+      return;
+    }
+    this._page.reload();
+  }
+
+  async mouseClick(selector) {
+    const position = await this._getElementPosition(selector);
+    await this._moveMouseTo(position);
+    this._sendMouseEvent('mousedown', position);
+    await this._humanDelay('click');
+    this._sendMouseEvent('mouseup', position);
+  }
+
+  async mouseMove(selector) {
+    const position = await this._getElementPosition(selector);
+    await this._moveMouseTo(position);
+    this._sendMouseEvent('mousemove', position);
+  }
+
+  async mouseDown(selector) {
+    const position = await this._getElementPosition(selector);
+    await this._moveMouseTo(position);
+    this._sendMouseEvent('mousedown', position);
+  }
+
+  async mouseUp(selector) {
+    const position = await this._getElementPosition(selector);
+    await this._moveMouseTo(position);
+    this._sendMouseEvent('mouseup', position);
+  }
+
+  /**
+   * Move pointer over the element and keep it there while the page is scrolled
+   * @param {string} selector
+   * @returns {Promise}
+   */
+  async hover(selector) {
+    await this.mouseMove(selector);
+    this._hoveredSelector = selector;
+  }
+
+  /**
+   * Scroll to the element or to the coordinates of the document
+   * @param {string|{x: number, y: number}} target
+   * @returns {Promise}
+   */
+  async scrollTo(target) {
+    debug('.scrollTo() %o', target);
+    if (typeof target === 'string') {
+      await this._getElementBox(target, true);
+    } else {
+      await this.evaluateJs(target.x || 0, target.y || 0, /* @covignore */ (x, y) => {
+        window.scrollTo(x, y); // eslint-disable-line no-undef
+      });
+    }
+    await this._restoreHover();
+  }
+
+  /**
+   * Scroll to the bottom of the page, with `untilNoNewContent` repeat it while the page grows, e.g. in infinite feeds
+   * @param {?object} [scrollOptions]
+   * @param {?boolean} [scrollOptions.untilNoNewContent]
+   * @param {?number} [scrollOptions.maxScrolls]
+   * @param {?number} [scrollOptions.delay] time in ms given to the page for loading new content after every scroll
+   * @returns {Promise.<number>} amount of performed scrolls
+   */
+  async scrollToBottom({ untilNoNewContent = false, maxScrolls = 50, delay: scrollDelay = 500 } = {}) {
+    debug('.scrollToBottom() until no new content %s', untilNoNewContent);
+    const scroll = async (scrolls, previousHeight) => {
+      const height = await this.evaluateJs(/* @covignore */ () => {
+        /* eslint-disable no-undef */
+        const scrollHeight = Math.max(document.body.scrollHeight, document.documentElement.scrollHeight);
+        window.scrollTo(window.pageXOffset, scrollHeight);
+        return scrollHeight;
+        /* eslint-enable no-undef */
+      });
+      await this._restoreHover();
+      if (!untilNoNewContent || height === previousHeight || scrolls + 1 >= maxScrolls) {
+        return scrolls + 1;
+      }
+
+      await delay(scrollDelay);
+      return scroll(scrolls + 1, height);
+    };
+    return scroll(0, null);
+  }
+
+  /**
+   * @param {string} type mousedown, mouseup or mousemove
+   * @param {{x: number, y: number}} position
+   * @private
+   */
+  _sendMouseEvent(type, position) {
+    this._assertAlive();
+    this._page.sendEvent(type, position.x, position.y);
+    this._mousePosition = position;
+    this._hoveredSelector = null;
+  }
+
+  /**
+   * In humanize mode move pointer from its last position along a curved path
+   * @param {{x: number, y: number}} position
+   * @returns {Promise}
+   * @private
+   */
+  _moveMouseTo(position) {
+    const humanizer = this._humanizer;
+    if (!humanizer) {
+      return Promise.resolve();
+    }
+
+    // the last point is sent by the caller
+    const points = humanizer.getPath(this._mousePosition, position).slice(0, -1);
+    return points.reduce((promise, point) => promise.then(async () => {
+      this._assertAlive();
+      this._page.sendEvent('mousemove', point.x, point.y);
+      this._mousePosition = point;
+      await this._humanDelay('move');
+    }), Promise.resolve());
+  }
+
+  /**
+   * @param {string} kind click, key or move
+   * @returns {Promise}
+   * @private
+   */
+  async _humanDelay(kind) {
+    if (this._humanizer) {
+      await delay(this._humanizer.getDelay(kind));
+    }
+  }
+
+  /**
+   * In humanize mode occasionally scroll the page a bit like a user reading it
+   * @returns {Promise}
+   * @private
+   */
+  async _scrollRandomly() {
+    const humanizer = this._humanizer;
+    if (!humanizer || !humanizer.shouldScroll()) {
+      return;
+    }
+
+    const distance = Math.round(humanizer.between(-200, 300));
+    debug('Random scroll by %d', distance);
+    await this.evaluateJs(distance, /* @covignore */ (distance) => { // eslint-disable-line no-shadow
+      window.scrollBy(0, distance); // eslint-disable-line no-undef
+    });
+    await delay(humanizer.getDelay('click'));
+  }
+
+  /**
+   * Move pointer back over the hovered element after the page has been scrolled
+   * @returns {Promise}
+   * @private
+   */
+  async _restoreHover() {
+    const selector = this._hoveredSelector;
+    if (!selector) {
+      return;
+    }
+    try {
+      // element is not scrolled into view here, otherwise it would undo the scroll
+      const box = await this._getElementBox(selector);
+      this._mousePosition = { x: box.left + box.width / 2, y: box.top + box.height / 2 };
+      this._page.sendEvent('mousemove', this._mousePosition.x, this._mousePosition.y);
+    } catch (e) {
+      debug('Hovered element %s is gone', selector);
+      this._hoveredSelector = null;
+    }
+  }
+
+  /**
+   * @param {string} selector
+   * @returns {Promise}
+   */
+  async focus(selector) {
+    const focused = await this.evaluateJs(selector, /* @covignore */ (selector) => { // eslint-disable-line no-shadow
+      const node = Sizzle(selector)[0]; // eslint-disable-line no-undef
+      if (!node) {
+        return false;
+      }
+      node.focus();
+      return true;
+    });
+
+    if (!focused) {
+      throw new errors.ElementNotFoundError(selector);
+    }
+  }
+
+  /**
+   * Type text into the element with real key events
+   * @param {string} selector
+   * @param {string} text
+   * @param {?object} [typeOptions]
+   * @param {?number} [typeOptions.delay] delay between key strokes in ms
+   * @returns {Promise}
+   */
+  async type(selector, text, { delay: keyDelay = 0 } = {}) {
+    debug('.type() %s into %s', text, selector);
+    await this.focus(selector);
+    await this._typeText(String(text), keyDelay);
+  }
+
+  /**
+   * Press key in the focused element
+   * @param {string} key single character or one of Enter, Tab, Backspace, Escape, Delete, Arrow*, Page*, Home, End
+   * @param {?Array.<string>} [modifiers] shift, ctrl, alt, meta
+   * @returns {Promise}
+   */
+  async press(key, modifiers) {
+    debug('.press() %s with %o', key, modifiers);
+    this._assertAlive();
+    this._page.sendEvent('keypress', getKeyCode(key), null, null, getModifierMask(modifiers));
+  }
+
+  /**
+   * Replace value of the input with typed one and fire change event
+   * @param {string} selector
+   * @param {string} value
+   * @returns {Promise}
+   */
+  async fill(selector, value) {
+    debug('.fill() %s with %s', selector, value);
+    await this.focus(selector);
+    await this.evaluateJs(selector, /* @covignore */ (selector) => { // eslint-disable-line no-shadow
+      const node = Sizzle(selector)[0]; // eslint-disable-line no-undef
+      if ('value' in node) {
+        node.value = '';
+      } else {
+        node.textContent = '';
+      }
+    });
+    await this._typeText(String(value), 0);
+    await this._dispatchEvents(selector, ['change']);
+  }
+
+  /**
+   * Select options of the select element by their values
+   * @param {string} selector
+   * @param {string|Array.<string>} values
+   * @returns {Promise.<Array.<string>>} values which are selected now
+   */
+  async select(selector, values) {
+    const list = (Array.isArray(values) ? values : [values]).map(String);
+    const selected = await this.evaluateJs(selector, list, /* @covignore */ (selector, values) => { // eslint-disable-line no-shadow, max-len
+      const node = Sizzle(selector)[0]; // eslint-disable-line no-undef
+      if (!node || !node.options) {
+        return null;
+      }
+      let found = false;
+      Array.prototype.forEach.call(node.options, (option) => {
+        option.selected = values.indexOf(option.value) !== -1 && (node.multiple || !found);
+        found = found || option.selected;
+      });
+      return Array.prototype.filter.call(node.options, option => option.selected).map(option => option.value);
+    });
+
+    if (selected === null) {
+      throw new errors.ElementNotFoundError(selector, 'Select element ' + selector + ' was not found');
+    }
+    await this._dispatchEvents(selector, ['input', 'change']);
+    return selected;
+  }
+
+  /**
+   * @param {string} selector checkbox or radio button
+   * @returns {Promise}
+   */
+  check(selector) {
+    return this._setChecked(selector, true);
+  }
+
+  /**
+   * @param {string} selector checkbox
+   * @returns {Promise}
+   */
+  uncheck(selector) {
+    return this._setChecked(selector, false);
+  }
+
+  /**
+   * @param {string} selector css selector of the file input, sizzle extensions are not supported by phantom here
+   * @param {string|Array.<string>} filePaths
+   * @returns {Promise}
+   */
+  async uploadFile(selector, filePaths) {
+    const files = (Array.isArray(filePaths) ? filePaths : [filePaths]).map(filePath => path.resolve(filePath));
+    debug('.uploadFile() %o to %s', files, selector);
+    this._assertAlive();
+    this._page.uploadFile(selector, files.length === 1 ? files[0] : files);
+  }
+
+  /**
+   * Click the element if its checked state differs, so the page gets all the events a user would produce
+   * @param {string} selector
+   * @param {boolean} checked
+   * @returns {Promise}
+   * @private
+   */
+  async _setChecked(selector, checked) {
+    const current = await this.evaluateJs(selector, /* @covignore */ (selector) => { // eslint-disable-line no-shadow
+      const node = Sizzle(selector)[0]; // eslint-disable-line no-undef
+      return node ? Boolean(node.checked) : null;
+    });
+
+    if (current === null) {
+      throw new errors.ElementNotFoundError(selector);
+    }
+    if (current !== checked) {
+      await this.mouseClick(selector);
+    }
+  }
+
+  /**
+   * @param {string} text
+   * @param {number} keyDelay
+   * @returns {Promise}
+   * @private
+   */
+  _typeText(text, keyDelay) {
+    if (!keyDelay && !this._humanizer) {
+      this._assertAlive();
+      this._page.sendEvent('keypress', text);
+      return Promise.resolve();
+    }
+
+    return text.split('').reduce((promise, char, index) => promise.then(async () => {
+      if (index > 0) {
+        await (keyDelay ? delay(keyDelay) : this._humanDelay('key'));
+      }
+      this._assertAlive();
+      this._page.sendEvent('keypress', char);
+    }), Promise.resolve());
+  }
+
+  /**
+   * @param {string} selector
+   * @param {Array.<string>} eventNames
+   * @returns {Promise}
+   * @private
+   */
+  _dispatchEvents(selector, eventNames) {
+    return this.evaluateJs(selector, eventNames, /* @covignore */ (selector, eventNames) => { // eslint-disable-line no-shadow, max-len
+      const node = Sizzle(selector)[0]; // eslint-disable-line no-undef
+      eventNames.forEach((eventName) => {
+        const event = document.createEvent('HTMLEvents'); // eslint-disable-line no-undef
+        event.initEvent(eventName, true, false);
+        node.dispatchEvent(event);
+      });
+    });
+  }
+
+  /**
+   * Wait for element to appear or, with `hidden` option, to disappear
+   * @param {string} selector
+   * @param {?object} [waitOptions]
+   * @param {?boolean} [waitOptions.hidden] wait until element is removed or hidden
+   * @param {?number} [waitOptions.timeout]
+   * @param {?number} [waitOptions.interval] polling interval in ms
+   * @returns {Promise}
+   */
+  waitForSelector(selector, { hidden = false, timeout = this._options.waitTimeout, interval = 100 } = {}) {
+    debug('.waitForSelector() %s, hidden %s', selector, hidden);
+    const subject = `selector ${selector} to be ${hidden ? 'hidden' : 'visible'}`;
+    return poll(async () => {
+      const visible = await this.evaluateJs(selector, /* @covignore */ (selector) => { // eslint-disable-line no-shadow
+        const node = typeof Sizzle === 'function' ? Sizzle(selector)[0] : null; // eslint-disable-line no-undef
+        return Boolean(node && (node.offsetWidth || node.offsetHeight || node.getClientRects().length));
+      });
+      return visible !== hidden;
+    }, timeout, interval, subject);
+  }
+
+  /**
+   * Wait for the next page load to finish
+   * @param {?object} [waitOptions]
+   * @param {?number} [waitOptions.timeout]
+   * @returns {Promise.<string>} load status
+   */
+  async waitForNavigation({ timeout = this._options.waitTimeout } = {}) {
+    debug('.waitForNavigation()');
+    const { status } = await this._waitForEvent('load', load => load.pageId === this._context.id, timeout,
+      'navigation');
+    if (status !== 'success') {
+      throw new errors.NavigationError(`Navigation finished with status ${status}`, this._url);
+    }
+    return status;
+  }
+
+  /**
+   * Wait until there are no requests in flight for `idleTime` ms
+   * @param {?object} [waitOptions]
+   * @param {?number} [waitOptions.idleTime]
+   * @param {?number} [waitOptions.timeout]
+   * @returns {Promise}
+   */
+  waitForNetworkIdle({ idleTime = 500, timeout = this._options.waitTimeout } = {}) {
+    debug('.waitForNetworkIdle() for %d ms', idleTime);
+    return new Promise((resolve, reject) => {
+      const emitter = this._emitter;
+      let idleTimer = null;
+      let timeoutTimer = null;
+      const check = () => {
+        clearTimeout(idleTimer);
+        if (Object.keys(this._context.inflightRequests).length === 0) {
+          idleTimer = setTimeout(finish, idleTime); // eslint-disable-line no-use-before-define
+        }
+      };
+      const finish = (error) => {
+        clearTimeout(idleTimer);
+        clearTimeout(timeoutTimer);
+        emitter.removeListener('request', check);
+        emitter.removeListener('requestfinished', check);
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+
+      timeoutTimer = setTimeout(() => finish(createWaitTimeoutError('network idle', timeout)), timeout);
+      emitter.on('request', check);
+      emitter.on('requestfinished', check);
+      check();
+    });
+  }
+
+  /**
+   * Wait until function evaluated in the page returns truthy value
+   * @param {Function} fn
+   * @param {?object} [waitOptions]
+   * @param {?Array} [waitOptions.args] arguments passed to the function
+   * @param {?number} [waitOptions.timeout]
+   * @param {?number} [waitOptions.interval] polling interval in ms
+   * @returns {Promise.<*>} value returned by the function
+   */
+  async waitForFunction(fn, { args = [], timeout = this._options.waitTimeout, interval = 100 } = {}) {
+    let result;
+    await poll(async () => {
+      result = await this.evaluateJs(...args, fn);
+      return Boolean(result);
+    }, timeout, interval, 'function ' + (fn.name || 'anonymous'));
+    return result;
+  }
+
+  /**
+   * @param {string} eventName
+   * @param {?Function} predicate
+   * @param {number} timeout
+   * @param {string} subject
+   * @returns {Promise.<*>} first argument of the event
+   * @private
+   */
+  _waitForEvent(eventName, predicate, timeout, subject) {
+    return this._guard(new Promise((resolve, reject) => {
+      const emitter = this._emitter;
+      let timer = null;
+      const listener = (...args) => {
+        if (predicate && !predicate(...args)) {
+          return;
+        }
+        clearTimeout(timer);
+        emitter.removeListener(eventName, listener);
+        resolve(args[0]);
+      };
+
+      timer = setTimeout(() => {
+        emitter.removeListener(eventName, listener);
+        reject(createWaitTimeoutError(subject, timeout));
+      }, timeout);
+      emitter.on(eventName, listener);
+    }));
+  }
+
+  /**
+   * @param {PageContext} context
+   * @param {number} id
+   * @private
+   */
+  _finishRequest(context, id) {
+    if (context.inflightRequests[id]) {
+      delete context.inflightRequests[id];
+      this._emitter.emit('requestfinished', { pageId: context.id, id });
+    }
+  }
+
+  async _getElementPosition(selector) {
+    await this._scrollRandomly();
+    const box = await this._getElementBox(selector, true);
+    const position = this._humanizer ? this._humanizer.getPointInBox(box) : {
+      x: box.left + box.width / 2,
+      y: box.top + box.height / 2,
+    };
+    debug('Element position is %o', position);
+    return position;
+  }
+
+  /**
+   * Bounding box of the element relatively to the document, as it is used by page rendering
+   * @param {string} selector
+   * @returns {Promise.<{left: number, top: number, width: number, height: number}>}
+   * @private
+   */
+  async _getElementRect(selector) {
+    const box = await this._getElementBox(selector);
+    return {
+      left: box.left + box.scrollX,
+      top: box.top + box.scrollY,
+      width: box.width,
+      height: box.height,
+    };
+  }
+
+  /**
+   * Bounding box of the element relatively to the viewport together with the scroll offsets
+   * @param {string} selector
+   * @param {boolean} [scrollIntoView] scroll to the element if it is out of the viewport
+   * @returns {Promise.<object>}
+   * @private
+   */
+  async _getElementBox(selector, scrollIntoView = false) {
+    if (scrollIntoView) {
+      // frame has to be visible before the element is scrolled inside of it
+      await this._getFrameOffset(true);
+    }
+    const box = await this.evaluateJs(selector, scrollIntoView, /* @covignore */ (selector, scrollIntoView) => { // eslint-disable-line no-shadow, max-len
+      const node = Sizzle(selector)[0]; // eslint-disable-line no-undef
+      if (!node) {
+        return null;
+      }
+
+      let rect = node.getBoundingClientRect();
+      const viewportWidth = window.innerWidth; // eslint-disable-line no-undef
+      const viewportHeight = window.innerHeight; // eslint-disable-line no-undef
+      const outOfViewport = rect.top < 0 || rect.left < 0 ||
+        rect.top + rect.height / 2 > viewportHeight || rect.left + rect.width / 2 > viewportWidth;
+      if (scrollIntoView && outOfViewport) {
+        node.scrollIntoView();
+        rect = node.getBoundingClientRect();
+      }
+      return {
+        left: rect.left,
+        top: rect.top,
+        width: rect.width,
+        height: rect.height,
+        scrollX: window.pageXOffset, // eslint-disable-line no-undef
+        scrollY: window.pageYOffset, // eslint-disable-line no-undef
+      };
+    });
+
+    if (!box) {
+      throw new errors.ElementNotFoundError(selector, 'Position of element ' + selector + ' was not found');
+    }
+    // scrolling the element scrolls the documents of the parent frames as well, so their offsets are taken after it
+    const frameOffset = await this._getFrameOffset(false);
+    if (frameOffset) {
+      // phantom sends mouse events and renders relatively to the main frame
+      return Object.assign(box, {
+        left: box.left + frameOffset.left,
+        top: box.top + frameOffset.top,
+        scrollX: frameOffset.scrollX,
+        scrollY: frameOffset.scrollY,
+      });
+    }
+    return box;
+  }
+
+  /**
+   * Frames of the current frame
+   * @returns {Promise.<Array.<FrameInfo>>}
+   */
+  getFrames() {
+    return this.evaluateJs(/* @covignore */ () => {
+      /* eslint-disable no-undef */
+      const elements = Array.prototype.slice.call(document.querySelectorAll('iframe, frame'));
+      return Array.prototype.map.call(window.frames, (frame, index) => {
+        const element = elements.filter(item => item.contentWindow === frame)[0];
+        return {
+          index,
+          name: element ? element.name || null : null,
+          id: element ? element.id || null : null,
+          src: element ? element.src || null : null,
+        };
+      });
+      /* eslint-enable no-undef */
+    });
+  }
+
+  /**
+   * Make the child frame of the current frame current, evaluateJs() and actions are performed in it afterwards
+   * @param {number|string} frame index, name or id of the frame element, or selector of it
+   * @returns {Promise}
+   */
+  async switchToFrame(frame) {
+    debug('.switchToFrame() %s', frame);
+    const index = typeof frame === 'number' ? frame : await this.evaluateJs(frame, /* @covignore */ (frame) => { // eslint-disable-line no-shadow, max-len
+      /* eslint-disable no-undef */
+      const elements = Array.prototype.slice.call(document.querySelectorAll('iframe, frame'));
+      let element = elements.filter(item => item.name === frame || item.id === frame)[0];
+      if (!element) {
+        try {
+          element = (typeof Sizzle === 'function' ? Sizzle(frame) : document.querySelectorAll(frame))[0];
+        } catch (e) {
+          element = null;
+        }
+      }
+      return element ? Array.prototype.indexOf.call(window.frames, element.contentWindow) : -1;
+      /* eslint-enable no-undef */
+    });
+    if (index < 0) {
+      throw new errors.ElementNotFoundError(String(frame), 'Frame ' + frame + ' was not found');
+    }
+
+    this._assertAlive();
+    this._page.switchToFrame(index);
+    this._context.framePath.push(index);
+    this._hoveredSelector = null;
+    await this._injectVendors();
+  }
+
+  /**
+   * @returns {Promise}
+   */
+  async switchToParentFrame() {
+    debug('.switchToParentFrame()');
+    this._assertAlive();
+    this._page.switchToParentFrame();
+    this._context.framePath.pop();
+    this._hoveredSelector = null;
+  }
+
+  /**
    * @returns {Promise}
    */
-  _createPage() {
-    return new Promise((resolve) => {
-      debug('._createPage() has called');
-      this._phantomJS.createPage((page) => {
-        this._page = page;
-        debug('._createPage() phantom page created');
-        resolve(page);
+  async switchToMainFrame() {
+    debug('.switchToMainFrame()');
+    this._assertAlive();
+    this._page.switchToMainFrame();
+    this._context.framePath = [];
+    this._hoveredSelector = null;
+  }
+
+  /**
+   * Position of the current frame in the main frame viewport. Walks the frames from the main one and switches back
+   * @param {boolean} scrollIntoView scroll frames into view on the way
+   * @returns {Promise.<?{left: number, top: number, scrollX: number, scrollY: number}>} null for the main frame
+   * @private
+   */
+  async _getFrameOffset(scrollIntoView) {
+    const framePath = this._context.framePath;
+    if (framePath.length === 0) {
+      return null;
+    }
+
+    this._page.switchToMainFrame();
+    const offset = { left: 0, top: 0, scrollX: null, scrollY: null };
+    const walk = framePath.reduce((promise, index) => promise.then(async () => {
+      const rect = await this.evaluateJs(index, scrollIntoView, /* @covignore */ (index, scrollIntoView) => { // eslint-disable-line no-shadow, max-len
+        /* eslint-disable no-undef */
+        const elements = Array.prototype.slice.call(document.querySelectorAll('iframe, frame'));
+        const element = elements.filter(item => item.contentWindow === window.frames[index])[0];
+        if (!element) {
+          return null;
+        }
+        let frameRect = element.getBoundingClientRect();
+        if (scrollIntoView && (frameRect.top < 0 || frameRect.top > window.innerHeight)) {
+          element.scrollIntoView();
+          frameRect = element.getBoundingClientRect();
+        }
+        return {
+          left: frameRect.left + element.clientLeft,
+          top: frameRect.top + element.clientTop,
+          scrollX: window.pageXOffset,
+          scrollY: window.pageYOffset,
+        };
+        /* eslint-enable no-undef */
       });
-    });
+      if (!rect) {
+        throw new errors.ElementNotFoundError(String(index), 'Frame ' + index + ' was not found');
+      }
+      offset.left += rect.left;
+      offset.top += rect.top;
+      if (offset.scrollX === null) {
+        offset.scrollX = rect.scrollX;
+        offset.scrollY = rect.scrollY;
+      }
+      this._page.switchToFrame(index);
+    }), Promise.resolve());
+
+    try {
+      await walk;
+    } catch (e) {
+      // go back to the frame which was current before
+      this._page.switchToMainFrame();
+      framePath.forEach(index => this._page.switchToFrame(index));
+      throw e;
+    }
+    return offset;
+  }
+
+  /**
+   * Set up a fresh phantomjs page.
+   * @returns {Promise}
+   * @private
+   */
+  async _setup() {
+    await this._createInstance();
+    await this._createPage();
+  }
+
+  /**
+   * Create a phantomjs instance.
+   * @returns {Promise}
+   * @private
+   */
+  async _createInstance() {
+    const options = this._options;
+    if (options.pool) {
+      debug('.createInstance() leasing Phantom instance from the pool');
+      const exclusive = this._needsExclusiveInstance();
+      this._lease = await options.pool.acquire(options, {
+        exclusive,
+        timeout: options.acquireTimeout,
+        onExit: this._handleExit.bind(this),
+      });
+      this._leaseExclusive = exclusive;
+      this._phantomJS = this._lease.phantom;
+      return this._phantomJS;
+    }
+
+    debug('.createInstance() creating Phantom instance with options %o', options);
+    this._phantomJS = await createPhantom(options, this._handleExit.bind(this));
+    return this._phantomJS;
+  }
+
+  /**
+   * Proxy and cookies belong to the whole phantom process, so it is shared only when the shared cookie jar is allowed
+   * and nothing process wide is changed
+   * @returns {boolean}
+   * @private
+   */
+  _needsExclusiveInstance() {
+    const options = this._options;
+    return !options.sharedCookieJar ||
+      Boolean(this._proxy || options.cookies || options.bundle || options.record || options.replay);
+  }
+
+  /**
+   * Close own pages and give the process back to the pool
+   * @returns {Promise}
+   * @private
+   */
+  async _releaseInstance() {
+    debug('._releaseInstance() returning Phantom instance to the pool');
+    const lease = this._lease;
+    const phantomJs = this._phantomJS;
+    this._lease = null;
+    delete this._phantomJS;
+    this._pages.forEach(context => context.page.close());
+    this._pages = [];
+    delete this._page;
+
+    if (phantomJs.process && this._leaseExclusive) {
+      // do not leak proxy and cookies to the next environment
+      await new Promise(resolve => phantomJs.clearCookies(() => resolve()));
+      await new Promise(resolve => phantomJs.setProxy('', 0, 'none', '', '', () => resolve()));
+    }
+    await this._options.pool.release(lease);
+  }
+
+  /**
+   * Creates new page in phantom
+   * @returns {Promise}
+   */
+  async _createPage() {
+    debug('._createPage() has called');
+    const page = await this._openPage();
+    this._page = page;
+    this._context.page = page;
+    this._pages.push(this._context);
+    debug('._createPage() phantom page created');
+    return page;
+  }
+
+  /**
+   * @returns {Promise.<object>} phantom page
+   * @private
+   */
+  _openPage() {
+    const timeout = this._options.startTimeout;
+    return this._guard(withTimeout(
+      new Promise(resolve => this._phantomJS.createPage(resolve)),
+      timeout,
+      elapsed => new errors.ProcessStartTimeoutError('page creation', null, timeout, elapsed),
+      page => page.close(),
+    ));
+  }
+
+  /**
+   * State which belongs to a single phantom page
+   * @param {?object} page
+   * @param {?number} openerId id of the page which opened this one
+   * @returns {PageContext}
+   * @private
+   */
+  _createPageContext(page, openerId) {
+    this._pageIdCounter += 1;
+    return {
+      id: this._pageIdCounter,
+      page,
+      openerId,
+      url: null,
+      currentUrl: null,
+      redirectUrls: [],
+      history: [],
+      redirectChain: [],
+      navigating: false,
+      proxyErrors: [],
+      networkLog: new NetworkLog(),
+      inflightRequests: {},
+      dialogs: [],
+      framePath: [],
+    };
+  }
+
+  /**
+   * @returns {Array.<{id: number, url: ?string, openerId: ?number, active: boolean}>}
+   */
+  getPages() {
+    return this._pages.map(context => ({
+      id: context.id,
+      url: context.currentUrl || context.url,
+      openerId: context.openerId,
+      active: context === this._context,
+    }));
+  }
+
+  /**
+   * Make the page active, all further actions are performed on it
+   * @param {number} id
+   * @returns {Promise}
+   */
+  async switchToPage(id) {
+    const context = this._getPageContext(id);
+    debug('.switchToPage() %d', id);
+    this._context.url = this._url;
+    this._context = context;
+    this._page = context.page;
+    this._url = context.url || context.currentUrl;
+    this._mousePosition = { x: 0, y: 0 };
+    this._hoveredSelector = null;
+  }
+
+  /**
+   * Open new blank page in the same phantom instance, it does not become active
+   * @returns {Promise.<number>} id of the page
+   */
+  async newPage() {
+    const page = await this._openPage();
+    const context = this._createPageContext(page, null);
+    this._pages.push(context);
+    await this._setupPage(context);
+    debug('.newPage() %d created', context.id);
+    return context.id;
+  }
+
+  /**
+   * @param {number} [id] active page if omitted
+   * @returns {Promise}
+   */
+  async closePage(id = this._context.id) {
+    const context = this._getPageContext(id);
+    if (this._pages.length === 1) {
+      throw new Error('The last page can not be closed');
+    }
+
+    debug('.closePage() %d', id);
+    await this._removePage(context);
+    context.page.close();
+  }
+
+  /**
+   * Forget the closed page, its opener becomes active if the page was active
+   * @param {PageContext} context
+   * @returns {Promise}
+   * @private
+   */
+  async _removePage(context) {
+    const index = this._pages.indexOf(context);
+    // page is closed by closePage() or tear down already
+    if (index === -1) {
+      return;
+    }
+    this._pages.splice(index, 1);
+    this._emitter.emit('close', { pageId: context.id });
+    if (context === this._context && this._pages.length > 0) {
+      const opener = this._pages.find(item => item.id === context.openerId);
+      await this.switchToPage((opener || this._pages[0]).id);
+    }
+  }
+
+  /**
+   * @param {number} id
+   * @returns {PageContext}
+   * @private
+   */
+  _getPageContext(id) {
+    const context = this._pages.find(item => item.id === id);
+    if (!context) {
+      throw new Error('Page ' + id + ' was not found');
+    }
+    return context;
+  }
+
+  /**
+   * Apply settings and event handlers of the environment to the page
+   * @param {PageContext} context
+   * @returns {Promise}
+   * @private
+   */
+  async _setupPage(context) {
+    await this._setViewport(context.page);
+    await this._setUserAgent(context.page);
+    await this._setHeaders(context.page);
+    await this._setTimeout(context.page);
+    this._handlePhantomEvents(context);
+    await this._installPageHandlers(context);
+  }
+
+  /**
+   * Dialog and closing handlers have to run in phantom, and the request handler is the only code the bridge
+   * evaluates there. A script with unique data url makes the page request it synchronously, so the handlers are
+   * installed before the site can open a dialog. If the request does not happen, they are installed on the first
+   * request of the page
+   * @param {PageContext} context
+   * @returns {Promise}
+   * @private
+   */
+  async _installPageHandlers(context) {
+    pageSetupCounter += 1;
+    const url = PAGE_SETUP_URL + pageSetupCounter + '*/';
+    await this._evaluateOn(context.page, /* @covignore */ (src) => {
+      /* eslint-disable no-undef */
+      const script = document.createElement('script');
+      script.src = src;
+      const parent = document.head || document.documentElement;
+      parent.appendChild(script);
+      parent.removeChild(script);
+      /* eslint-enable no-undef */
+    }, url);
+    const installed = await this._guard(new Promise(resolve => context.page.get('gooseDialogsInstalled', resolve)));
+    if (!installed) {
+      debug('Handlers of page %d are installed on its first request', context.id);
+    }
+  }
+
+  /**
+   * Track the page opened by the site, e.g. popup or target=_blank link
+   * @param {object} page
+   * @param {PageContext} opener
+   * @returns {Promise}
+   * @private
+   */
+  async _addChildPage(page, opener) {
+    const context = this._createPageContext(wrapChildPage(page), opener.id);
+    this._pages.push(context);
+    debug('Page %d opened page %d', opener.id, context.id);
+    await this._setupPage(context);
+    this._emitter.emit('popup', { pageId: context.id, openerId: opener.id });
+  }
+
+  /**
+   * Tear down environment.
+   * @returns {Promise}
+   */
+  async tearDown() {
+    await this._tearDownInstance();
+    if (this._fixtureServer) {
+      await this._fixtureServer.stop();
+      this._fixtureServer = null;
+    }
   }
 
   /**
    * Tear down a phantomjs instance.
+   * @returns {Promise}
+   * @private
    */
-  tearDown() {
+  _tearDownInstance() {
+    if (this._lease) {
+      return this._releaseInstance();
+    }
+
     return new Promise((resolve) => {
       debug('._tearDownInstance() tearing down');
       const phantomJs = this._phantomJS;
@@ -420,10 +2241,9 @@ class PhantomEnvironment extends AbstractEnvironment {
       const pid = phantomJs.process.pid;
 
       debug('Terminating phantom process gracefully, pid: ', pid);
-      if (this._page) {
-        this._page.close();
-        delete this._page;
-      }
+      this._pages.forEach(context => context.page.close());
+      this._pages = [];
+      delete this._page;
 
       phantomJs.exit();
 
@@ -462,19 +2282,131 @@ class PhantomEnvironment extends AbstractEnvironment {
    */
   _handleExit(code, signal) {
     debug('Phantom exited with code ' + code + ' and signal ' + signal);
-    // delete this._phantomJS.process;
+    if (this._exitHandlers.length > 0) {
+      // exit was requested by tearDown
+      this._exitHandlers.forEach(handler => handler(code));
+      this._exitHandlers = [];
+      return;
+    }
 
-    // otherwise, if we have a non-zero code we'll throw a better error message
-    // than the `phantom` lib would.
-    if (code !== 0) {
-      const err = new Error('The PhantomJS process ended unexpectedly');
-      err.code = code;
-      err.signal = signal;
-      // throw err;
+    const err = new errors.PhantomCrashError(code, signal);
+    this._crashError = err;
+    delete this._phantomJS;
+    this._lease = null;
+    this._pages = [];
+    delete this._page;
+    this._pendingRejects.forEach(reject => reject(err));
+    this._pendingRejects.clear();
+    this._emitter.emit('crash', err);
+
+    const { autoRestart } = this._options;
+    if (!autoRestart || this._restarts >= autoRestart.maxRestarts) {
+      return;
     }
+    this._restarting = this._restart()
+      .catch(e => debug('Phantom restart failed: %s', e.message))
+      .then(() => {
+        this._restarting = null;
+      });
+  }
 
-    this._exitHandlers.forEach(handler => handler(code));
-    this._exitHandlers = [];
+  /**
+   * Start new phantom process after crash and bring it to the state of the crashed one
+   * @returns {Promise}
+   * @private
+   */
+  async _restart() {
+    this._restarts += 1;
+    debug('Restarting phantom, restart %d', this._restarts);
+    const url = this._url;
+    const crashError = this._crashError;
+    // calls made by the restart itself must not be rejected as crashed
+    this._crashError = null;
+    try {
+      await this._restoreInstance();
+    } catch (e) {
+      this._crashError = this._crashError || crashError;
+      throw e;
+    }
+    this._emitter.emit('restart', this._restarts);
+    if (this._options.autoRestart.navigate && url) {
+      await this._goto(url);
+    }
+  }
+
+  /**
+   * Start the process and restore cookies, page settings and proxy of the crashed one
+   * @returns {Promise}
+   * @private
+   */
+  async _restoreInstance() {
+    this._context = this._createPageContext(null, null);
+    await this._setup();
+    if (this._lastCookies && this._lastCookies.length > 0) {
+      await this.setCookies(this._lastCookies);
+    } else {
+      await this._loadCookies();
+      if (this._bundle && this._bundle.cookies.length > 0) {
+        await this.setCookies(this._bundle.cookies);
+      }
+    }
+    await this._setupPage(this._context);
+    if (this._proxyCurrent) {
+      await this._applyProxy(this._proxyCurrent);
+    }
+  }
+
+  /**
+   * Read bundle from `bundle` option, restore its cookies and block network
+   * @returns {Promise}
+   * @private
+   */
+  async _loadBundle() {
+    if (!this._options.bundle) {
+      return;
+    }
+
+    debug('Loading bundle from %s', this._options.bundle);
+    this._bundle = await loadBundle(this._options.bundle);
+    this._url = this._url || this._bundle.url;
+    this._requestRules.push({ url: '^(?!data:)', block: true });
+    if (this._bundle.cookies.length > 0) {
+      await this.setCookies(this._bundle.cookies);
+    }
+  }
+
+  /**
+   * Start local proxy which records or replays responses according to `record` and `replay` options
+   * @returns {Promise}
+   * @private
+   */
+  async _startFixtureServer() {
+    const { record, replay } = this._options;
+    if (!record && !replay) {
+      return;
+    }
+    if (record && replay) {
+      throw new Error('Options record and replay can not be used together');
+    }
+
+    this._fixtureServer = record ? new FixtureServer(record, 'record') : new FixtureServer(replay, 'replay');
+    await this._fixtureServer.start();
+    this._requestRules.push(this._fixtureServer.getRequestRule());
+  }
+
+  /**
+   * Render saved bundle as if it was loaded from its url
+   * @returns {Promise}
+   * @private
+   */
+  async _replayBundle() {
+    const bundle = this._bundle;
+    debug('.goto() replaying bundle of %s', bundle.currentUrl);
+    await new Promise(resolve => this._page.setContent(bundle.html, bundle.currentUrl, () => resolve()));
+    // bridge takes over onLoadFinished for setContent and resets it afterwards
+    this._handleLoadFinished();
+    this._context.redirectUrls = bundle.redirectUrls.slice();
+    this._context.networkLog.restore(bundle.networkLog);
   }
 
   /**
@@ -484,45 +2416,44 @@ class PhantomEnvironment extends AbstractEnvironment {
    * @private
    */
   _navigateTo(url) {
-    return new Promise((resolve, reject) => {
-      this._openPage(url, resolve, reject);
-    });
-  }
+    if (this._bundle) {
+      return this._replayBundle();
+    }
 
-  _openPage(url, resolve, reject) {
-    debug('.goto() url: ' + url);
-    this._page.open(url, async (status) => {
-      debug('.goto() page loaded: ' + status);
-      if (status === 'success') {
-        resolve();
-        return;
+    const timeout = this._options.navigationTimeout;
+    const markProxyFailure = () => {
+      if (this._proxyCurrent && this._proxyPool) {
+        this._proxyPool.markFailure(this._proxyCurrent, 'medium');
       }
-
-      try {
-        const proxy = await this._rotateProxy();
-        // cannot set new proxy
-        if (proxy === null) {
-          reject(new Error(`Page ${url} was not loaded`));
+    };
+    return this._guard(withTimeout(this._applyHttpCredentials(url).then(() => new Promise((resolve, reject) => {
+      debug('.goto() url: ' + url);
+      this._page.open(url, (status) => {
+        debug('.goto() page loaded: ' + status);
+        if (status === 'success') {
+          resolve();
           return;
         }
 
-        // one more attempt to open page through the new proxy
-        this._openPage(url, resolve, reject);
-      } catch (e) {
-        reject(e);
-      }
-    });
+        markProxyFailure();
+        reject(new errors.NavigationError(`Page ${url} was not loaded`, url));
+      });
+    })), timeout, (elapsed) => {
+      markProxyFailure();
+      return new errors.NavigationTimeoutError('page load', url, timeout, elapsed);
+    }));
   }
 
   /**
    * Set the viewport.
    *
+   * @param {object} [page]
    * @returns {Promise}
    * @private
    */
-  _setViewport() {
+  _setViewport(page = this._page) {
     return new Promise((resolve) => {
-      let screen = this._options.screen;
+      let screen = this._profile ? this._profile.screen : this._options.screen;
       if (Array.isArray(screen)) {
         screen = sample(screen);
       }
@@ -531,38 +2462,152 @@ class PhantomEnvironment extends AbstractEnvironment {
       debug('.viewport() to ' + width + ' x ' + height);
       const viewport = { width, height };
       this._options.screen = viewport;
-      this._page.set('viewportSize', viewport, () => resolve());
+      page.set('viewportSize', viewport, () => resolve());
+    });
+  }
+
+  /**
+   * Set the user agent.
+   *
+   * @param {object} [page]
+   * @returns {Promise}
+   * @private
+   */
+  _setUserAgent(page = this._page) {
+    return new Promise((resolve) => {
+      let userAgent = this._profile ? this._profile.userAgent : this._options.userAgent;
+      if (Array.isArray(userAgent)) {
+        userAgent = sample(userAgent);
+      }
+      debug('.userAgent() to ' + userAgent);
+      page.set('settings.userAgent', userAgent, () => resolve());
+    });
+  }
+
+  /**
+   * Set headers sent with every request.
+   *
+   * @param {object} [page]
+   * @returns {Promise}
+   * @private
+   */
+  _setHeaders(page = this._page) {
+    return new Promise((resolve) => {
+      const headers = this._profile ? getProfileHeaders(this._profile) : {};
+      debug('.headers() to %o', headers);
+      page.set('customHeaders', headers, () => resolve());
     });
   }
 
   /**
-   * Set the user agent.
-   *
-   * @returns {Promise}
+   * Apply current profile to the already prepared page
+   *
+   * @returns {Promise}
+   * @private
+   */
+  async _applyProfile() {
+    await Promise.all(this._pages.map(async (context) => {
+      await this._setViewport(context.page);
+      await this._setUserAgent(context.page);
+      await this._setHeaders(context.page);
+      this._handleResourceRequests(context);
+    }));
+  }
+
+  /**
+   * Source of the function which is evaluated in every new document before site scripts
+   *
+   * @returns {?string}
+   * @private
+   */
+  _getInitScript() {
+    const sources = this._initScripts.slice();
+    if (this._profile) {
+      sources.unshift(createNavigatorPatch(this._profile));
+    }
+    if (sources.length === 0) {
+      return null;
+    }
+    // one failing script should not prevent the others from running
+    const calls = sources.map(source => `try { (${source})(); } catch (e) {}`);
+    return `function () { ${calls.join('\n')} }`;
+  }
+
+  /**
+   * Evaluate the script in every new document before site scripts, e.g. to stub Date or Math.random
+   * @param {Function|string} script function or path of the script file
+   * @returns {Promise}
+   */
+  async addInitScript(script) {
+    const source = typeof script === 'function'
+      ? script.toString()
+      : `function () {\n${await readFile(script, 'utf-8')}\n}`;
+    this._initScripts.push(source);
+    this._pages.forEach(context => this._handleResourceRequests(context));
+  }
+
+  /**
+   * Inject the script into every loaded document together with the default vendors
+   * @param {string|{code: string}} vendor path of the script file or inline code
+   * @returns {PhantomEnvironment}
+   */
+  addVendor(vendor) {
+    this._vendors.push(vendor);
+    return this;
+  }
+
+  /**
+   * @returns {Array.<string>} paths of vendor files
+   * @protected
+   */
+  _getVendors() {
+    const files = this._vendors.filter(vendor => typeof vendor === 'string');
+    return super._getVendors().concat(files); // eslint-disable-line no-underscore-dangle
+  }
+
+  /**
+   * Inject vendors unless they are in the document already, the marker disappears together with the document
+   * @param {object} [page]
+   * @returns {Promise}
+   * @private
+   */
+  async _injectVendors(page = this._page) {
+    const marker = '__gooseVendorsInjected';
+    if (await this._evaluateOn(page, isDocumentMarked, marker)) {
+      return;
+    }
+    await this._injectFiles(this._getVendors(), page);
+    const codes = this._vendors.filter(vendor => typeof vendor !== 'string').map(vendor => vendor.code);
+    await this._evaluateOn(page, /* @covignore */ (name, vendorCodes) => {
+      vendorCodes.forEach(code => (0, eval)(code)); // eslint-disable-line no-eval
+      Object.defineProperty(window, name, { value: true }); // eslint-disable-line no-undef
+    }, marker, codes);
+  }
+
+  /**
+   * Evaluate the function in the given page, unlike evaluateJs() it is not limited to the active page
+   * @param {object} page
+   * @param {Function} fn
+   * @param {...*} args
+   * @returns {Promise.<*>}
    * @private
    */
-  _setUserAgent() {
-    return new Promise((resolve) => {
-      let userAgent = this._options.userAgent;
-      if (Array.isArray(userAgent)) {
-        userAgent = sample(this._options.userAgent);
-      }
-      debug('.userAgent() to ' + userAgent);
-      this._page.set('settings.userAgent', userAgent, () => resolve());
-    });
+  _evaluateOn(page, fn, ...args) {
+    return this._guard(new Promise(resolve => page.evaluate(fn, resolve, ...args)));
   }
 
   /**
    * Set timeout.
    *
+   * @param {object} [page]
    * @returns {Promise}
    * @private
    */
-  _setTimeout() {
+  _setTimeout(page = this._page) {
     return new Promise((resolve) => {
       const timeout = this._options.timeout;
       debug('.timeout() to ' + timeout);
-      this._page.set('settings.resourceTimeout', timeout, () => resolve());
+      page.set('settings.resourceTimeout', timeout, () => resolve());
     });
   }
 
@@ -570,14 +2615,14 @@ class PhantomEnvironment extends AbstractEnvironment {
    * @param {Error} error
    */
   addProxyError(error) {
-    this._proxyErrors.push(error);
+    this._context.proxyErrors.push(error);
   }
 
   /**
    * @returns {Array.<Error>}
    */
   getProxyErrors() {
-    return this._proxyErrors;
+    return this._context.proxyErrors;
   }
 
   /**
@@ -588,6 +2633,64 @@ class PhantomEnvironment extends AbstractEnvironment {
     return this._proxyIndicators.filter(item => item.type === type);
   }
 
+  /**
+   * Match the loaded document against content indicators, e.g. captcha or ban pages served with 200
+   * @returns {Promise}
+   * @private
+   */
+  async _checkContentIndicators() {
+    const indicators = this._proxyIndicators.filter(item => contentIndicatorTypes.indexOf(item.type) !== -1);
+    if (indicators.length === 0) {
+      return;
+    }
+
+    const checks = indicators.map(item => ({
+      selector: item.selector || null,
+      text: serializePattern(item.text),
+      title: serializePattern(item.title),
+      minSize: typeof item.minSize === 'number' ? item.minSize : null,
+    }));
+    const bodySize = this._context.networkLog.getBodySize(this._context.currentUrl);
+    const matches = await this.evaluateJs(checks, bodySize, /* @covignore */ (checks, size) => { // eslint-disable-line no-shadow, max-len
+      const root = document.documentElement; // eslint-disable-line no-undef
+      const documentSize = size >= 0 ? size : (root ? root.outerHTML : '').length;
+      const text = document.body ? document.body.innerText : ''; // eslint-disable-line no-undef
+      const test = (pattern, value) => pattern !== null && new RegExp(pattern.source, pattern.flags).test(value);
+
+      return checks.map(check =>
+        (check.selector !== null && Sizzle(check.selector).length > 0) || // eslint-disable-line no-undef
+        test(check.text, text) ||
+        test(check.title, document.title) || // eslint-disable-line no-undef
+        (check.minSize !== null && documentSize < check.minSize),
+      );
+    });
+
+    (matches || []).forEach((matched, index) => {
+      if (matched) {
+        debug('Content indicator %o matched', indicators[index]);
+        this.addProxyError(createProxyError(indicators[index]));
+      }
+    });
+  }
+
+  /**
+   * Update health stats of the current proxy after navigation
+   * @private
+   */
+  _reportProxyHealth() {
+    const current = this._proxyCurrent;
+    if (!current || !this._proxyPool) {
+      return;
+    }
+
+    const proxyErrors = this.getProxyErrors();
+    if (proxyErrors.length === 0) {
+      this._proxyPool.markSuccess(current);
+      return;
+    }
+    this._proxyPool.markFailure(current, ProxyPool.getHighestLevel(proxyErrors.map(error => error.proxyLevel)));
+  }
+
   /**
    * @returns {Promise}
    * @private
@@ -607,6 +2710,9 @@ class PhantomEnvironment extends AbstractEnvironment {
   async _rotateProxy() {
     const proxy = this._proxy;
     const currentProxy = this._proxyCurrent;
+    if (this._fixtureServer) {
+      return this._applyProxy(this._fixtureServer.getProxy());
+    }
     if (!proxy) {
       return null;
     }
@@ -615,13 +2721,13 @@ class PhantomEnvironment extends AbstractEnvironment {
       return this._applyProxy(proxy);
     }
 
-    this._removeUnavailableProxy();
+    const pool = this._proxyPool;
     const { proxyRotator } = this._options;
     const foundProxy = typeof proxyRotator === 'function'
-      ? await proxyRotator(proxy, currentProxy)
-      : sample(proxy);
+      ? await proxyRotator.call(this, pool.getCandidates(), currentProxy, pool.getStats())
+      : pool.pick(currentProxy);
 
-    this._proxyErrors = [];
+    this._context.proxyErrors = [];
     if (!foundProxy) {
       throw new Error('No proxy found');
     }
@@ -632,55 +2738,43 @@ class PhantomEnvironment extends AbstractEnvironment {
    * Apply proxy to Phantom
    * @private
    */
-  _applyProxy(proxy) {
-    return new Promise((resolve) => {
+  async _applyProxy(proxy) {
+    await new Promise((resolve) => {
       this._phantomJS.setProxy(proxy.host, proxy.port, 'manual', proxy.username, proxy.password, () => {
         debug('Proxy applied %o', proxy);
         this._proxyCurrent = proxy;
-        resolve(proxy);
+        resolve();
       });
     });
-  }
-
-  /**
-   * Remove from proxy list one which doesn't work
-   *
-   * @returns {?Proxy}
-   * @private
-   */
-  _removeUnavailableProxy() {
-    const current = this._proxyCurrent;
-    if (!Array.isArray(this._proxy) || this._proxy.length === 0 || current === null) {
-      return null;
-    }
 
-    debug('._removeUnavailableProxy()');
-    const index = this._proxy.findIndex(item => item.host === current.host && item.port === current.port);
-    let proxy = null;
-    if (index !== -1) {
-      // cut off old used proxy from the list
-      proxy = this._proxy.splice(index, 1);
+    if (this._options.profilePerProxy && this._options.profiles) {
+      this._profile = pickProfile(this._options.profiles, proxy);
+      await this._applyProfile();
     }
-    return Array.isArray(proxy) ? proxy.pop() : null;
+    return proxy;
   }
 
-  _injectFiles(filePaths) {
+  _injectFiles(filePaths, page = this._page) {
     filePaths.forEach((filePath) => {
       debug('injecting file %s', filePath);
-      this._page.injectJs(filePath);
+      page.injectJs(filePath);
     });
     return Promise.resolve();
   }
 
-  injectBrowserEnv() {
-    if (this._browserEnvInjected) {
-      return Promise.resolve();
+  async injectBrowserEnv() {
+    const marker = '__gooseBrowserEnvInjected';
+    if (await this._evaluateOn(this._page, isDocumentMarked, marker)) {
+      return;
     }
 
     debug('.inject()-ing browser env libs');
-    return this._injectFiles([
+    await this._injectFiles([
       path.join(__dirname, '../build/browser.bundle.js'),
     ]);
+    await this._evaluateOn(this._page, /* @covignore */ (name) => {
+      Object.defineProperty(window, name, { value: true }); // eslint-disable-line no-undef
+    }, marker);
   }
 
   /**
@@ -689,20 +2783,493 @@ class PhantomEnvironment extends AbstractEnvironment {
    */
   hasRedirect(urlPattern) {
     if (urlPattern === undefined) {
-      return this._redirectUrls.length > 0;
+      return this._context.redirectUrls.length > 0;
+    }
+    return this._context.redirectUrls.some(url => url.match(urlPattern) !== null);
+  }
+
+  /**
+   * Documents requested by the active page, including redirect targets
+   * @returns {Array.<HistoryEntry>}
+   */
+  getHistory() {
+    return this._context.history.slice();
+  }
+
+  /**
+   * Redirects which led to the current document of the active page
+   * @returns {Array.<RedirectHop>}
+   */
+  getRedirectChain() {
+    return this._context.redirectChain.slice();
+  }
+
+  /**
+   * @returns {?string} url of the document loaded in the active page
+   */
+  getCurrentUrl() {
+    return this._context.currentUrl || this._context.url;
+  }
+
+  /**
+   * Record the redirect as a hop of the page when it is a redirect of the document, not of a resource
+   * @param {PageContext} context
+   * @param {{from: string, to: string, status: ?number, cause: string}} hop
+   * @param {boolean} isDocument
+   * @private
+   */
+  _recordRedirect(context, hop, isDocument) {
+    debug('Redirect (%s) from %s to %s', hop.cause, hop.from, hop.to);
+    if (isDocument) {
+      context.redirectChain.push(Object.assign({ time: new Date() }, hop));
+      context.redirectUrls.push(hop.to);
+      context.history.push(createHistoryEntry(hop.to, hop.cause));
+    }
+    this._emitter.emit('redirect', {
+      pageId: context.id,
+      from: hop.from,
+      to: hop.to,
+      status: hop.status,
+      cause: hop.cause,
+    });
+    const matched = this.getProxyIndicators('redirect').find(item => hop.to.match(item.url));
+    if (matched) {
+      context.proxyErrors.push(createProxyError(matched));
+    }
+  }
+
+  /**
+   * Meta refresh is recorded as soon as the document declaring it is loaded, so redirect indicators match
+   * even when the refresh is delayed
+   * @param {PageContext} [context]
+   * @returns {Promise}
+   * @private
+   */
+  async _detectMetaRefresh(context = this._context) {
+    const target = await this._evaluateOn(context.page, /* @covignore */ () => {
+      /* eslint-disable no-undef */
+      const meta = Array.prototype.filter.call(
+        document.getElementsByTagName('meta'),
+        item => (item.getAttribute('http-equiv') || '').toLowerCase() === 'refresh',
+      )[0];
+      const match = meta && /^\s*[\d.]*\s*[;,]\s*(?:url\s*=\s*)?['"]?([^'"]+)/i.exec(meta.getAttribute('content'));
+      if (!match) {
+        return null;
+      }
+      // anchor resolves the url relative to the document
+      const link = document.createElement('a');
+      link.href = match[1].trim();
+      return link.href;
+      /* eslint-enable no-undef */
+    });
+    const from = context.currentUrl;
+    const last = context.redirectChain[context.redirectChain.length - 1];
+    if (!target || !from || target === from || (last && last.from === from && last.to === target)) {
+      return;
+    }
+    this._recordRedirect(context, { from, to: target, status: null, cause: 'meta' }, true);
+  }
+
+  /**
+   * @param {PageContext} context
+   * @param {string} url
+   * @param {string} type navigation type reported by phantom
+   * @private
+   */
+  _trackNavigation(context, url, type) {
+    const cause = navigationCauses[type] || 'js';
+    const last = context.history[context.history.length - 1];
+    if (cause !== 'js') {
+      context.redirectChain = [];
+      context.history.push(createHistoryEntry(url, cause));
+      return;
+    }
+    if (context.navigating) {
+      // request of goto() itself, phantom reports the url normalized
+      context.navigating = false;
+      last.url = url;
+      return;
+    }
+    const withoutHash = value => value.split('#')[0];
+    if (last && withoutHash(last.url) === withoutHash(url)) {
+      // target of http redirect or meta refresh which is recorded already, or a hash change
+      return;
+    }
+    if (!context.currentUrl) {
+      // first document of the page opened by the site
+      context.history.push(createHistoryEntry(url, cause));
+      return;
+    }
+    this._recordRedirect(context, { from: context.currentUrl, to: url, status: null, cause }, true);
+  }
+
+  /**
+   * @param {PageContext} context
+   * @param {object} resource
+   * @private
+   */
+  _handleRedirectResponse(context, resource) {
+    const redirectUrl = extractRedirectUrl(resource);
+    if (!redirectUrl) {
+      return;
+    }
+    const last = context.history[context.history.length - 1];
+    this._recordRedirect(context, {
+      from: resource.url,
+      to: redirectUrl,
+      status: resource.status,
+      cause: 'http',
+    }, Boolean(last) && last.url === resource.url);
+  }
+
+  /**
+   * Add request rule, it is applied to the requests made after the call
+   * @param {RequestRule} rule
+   * @returns {PhantomEnvironment}
+   */
+  addRequestRule(rule) {
+    this._requestRules.push(rule);
+    this._pages.forEach(context => this._handleResourceRequests(context));
+    return this;
+  }
+
+  /**
+   * @param {RequestRule} rule
+   * @returns {PhantomEnvironment}
+   */
+  removeRequestRule(rule) {
+    const index = this._requestRules.indexOf(rule);
+    if (index !== -1) {
+      this._requestRules.splice(index, 1);
+      this._pages.forEach(context => this._handleResourceRequests(context));
+    }
+    return this;
+  }
+
+  /**
+   * @returns {Array.<RequestRule>}
+   */
+  getRequestRules() {
+    return this._requestRules;
+  }
+
+  /**
+   * Change answers to dialogs, they are applied to the dialogs shown afterwards
+   * @param {DialogOptions} dialogOptions merged into the current ones
+   * @returns {Promise}
+   */
+  async setDialogOptions(dialogOptions) {
+    this._options.dialogs = Object.assign({}, this._options.dialogs, dialogOptions);
+    await Promise.all(this._pages.map(context => this._setDialogOptions(context.page)));
+  }
+
+  /**
+   * Dialogs shown by the active page
+   * @returns {Array.<Dialog>}
+   */
+  getDialogs() {
+    return this._context.dialogs.slice();
+  }
+
+  /**
+   * @param {string} host
+   * @param {?{username: string, password: string}} credentials removes credentials of the host if null
+   * @returns {PhantomEnvironment}
+   */
+  setHttpCredentials(host, credentials) {
+    this._httpCredentials = this._httpCredentials.filter(item => item.host !== host);
+    if (credentials) {
+      this._httpCredentials.push({ host, username: credentials.username, password: credentials.password });
+    }
+    this._pages.forEach(context => this._handleResourceRequests(context));
+    return this;
+  }
+
+  /**
+   * @returns {Array.<Download>}
+   */
+  getDownloads() {
+    return this._downloads.slice();
+  }
+
+  /**
+   * Dialog handlers in phantom read the answers from the page on every dialog
+   * @param {object} page
+   * @returns {Promise}
+   * @private
+   */
+  _setDialogOptions(page) {
+    const dialogOptions = JSON.stringify(this._options.dialogs);
+    return new Promise(resolve => page.set('gooseDialogOptions', dialogOptions, () => resolve()));
+  }
+
+  /**
+   * Settings are applied by phantom on open() and answer challenges which the preemptive Basic authorization
+   * does not satisfy, e.g. Digest, so they are chosen by the host of the navigated url
+   * @param {string} url
+   * @returns {Promise}
+   * @private
+   */
+  async _applyHttpCredentials(url) {
+    if (this._httpCredentials.length === 0) {
+      return;
+    }
+    const credentials = findHttpCredentials(this._httpCredentials, url) || { username: '', password: '' };
+    await new Promise(resolve => this._page.set('settings.userName', credentials.username, () => resolve()));
+    await new Promise(resolve => this._page.set('settings.password', credentials.password, () => resolve()));
+  }
+
+  /**
+   * @param {PageContext} context
+   * @param {object} resource
+   * @returns {Promise}
+   * @private
+   */
+  async _saveDownload(context, resource, request) {
+    if (!request) {
+      throw new Error(`Request of the download ${resource.url} is unknown, it can not be repeated`);
+    }
+    if (['GET', 'HEAD'].indexOf(request.method) === -1 && request.postData === null) {
+      throw new Error(`PhantomJS did not report the body of the ${request.method} request, ` +
+        `the download ${resource.url} can not be repeated`);
+    }
+
+    const cookies = await this.getCookies(parseUrl(resource.url).hostname);
+    const headers = request.headers.reduce((result, header) => {
+      if (notRepeatedHeaders.indexOf(header.name.toLowerCase()) === -1) {
+        result[header.name] = header.value;
+      }
+      return result;
+    }, {});
+    if (cookies.length > 0) {
+      headers.Cookie = cookies.map(cookie => cookie.name + '=' + cookie.value).join('; ');
+    }
+    const credentials = findHttpCredentials(this._httpCredentials, resource.url);
+    if (credentials) {
+      headers.Authorization = getBasicAuthorization(credentials);
     }
-    return this._redirectUrls.some(url => url.match(urlPattern) !== null);
+
+    debug('Downloading %s with %s', resource.url, request.method);
+    const download = await saveDownload(this._options.downloadsDir, resource, {
+      method: request.method,
+      headers,
+      body: request.postData,
+      proxy: this._proxyCurrent,
+      pageId: context.id,
+    });
+    this._downloads.push(download);
+    this._emitter.emit('download', download);
+  }
+
+  /**
+   * (Re)register phantom handler which filters requests by resources lists and applies request rules.
+   * The handler is executed inside phantom, so the rules are passed to it as plain JSON.
+   * @param {PageContext} [context]
+   * @private
+   */
+  _handleResourceRequests(context = this._context) {
+    const { resources } = this._options;
+    const compiledRules = this._requestRules.map(compileRequestRule);
+
+    /* eslint-disable no-console, no-undef */
+    context.page.onResourceRequested(/* @covignore */ (requestData, request, allowedUrls, blockedUrls, rules, initScript, credentialsList, setupUrl) => { // eslint-disable-line max-len
+      // The handler is evaluated in the scope of the phantom bridge page wrapper, so `page` is the phantom page here.
+      // It is the only way to set phantom-side onInitialized handler, the one set from node runs too late.
+      if (page.gooseInitScript !== initScript) {
+        page.gooseInitScript = initScript;
+        page.onInitialized = initScript ? () => page.evaluateJavaScript(initScript) : null;
+      }
+
+      // Dialog answers have to be returned synchronously, which callbacks set from node can not do.
+      // Handlers read the answers set by node from the page and report dialogs back through gooseDialogNotify.
+      // They are installed by the request made in _installPageHandlers(), or by the first one of the page.
+      if (!page.gooseDialogsInstalled) {
+        page.gooseDialogsInstalled = true;
+        const answer = (type, message, defaultValue) => {
+          const options = JSON.parse(page.gooseDialogOptions || '{}');
+          const rule = (options.rules || []).filter(item =>
+            (!item.type || item.type === type) && new RegExp(item.message || '').test(message),
+          )[0] || {};
+          const accept = typeof rule.accept === 'boolean' ? rule.accept : Boolean(options.accept);
+          const promptText = typeof rule.promptText === 'string' ? rule.promptText : options.promptText;
+          switch (type) {
+            case 'confirm':
+              return accept;
+            case 'prompt':
+              if (!accept) {
+                return null;
+              }
+              return typeof promptText === 'string' ? promptText : defaultValue;
+            case 'file':
+              return options.file || null;
+            default:
+              return null;
+          }
+        };
+        const handle = type => (message, defaultValue) => {
+          const result = answer(type, message, defaultValue);
+          if (page.gooseDialogNotify) {
+            page.gooseDialogNotify(type, message || '', defaultValue === undefined ? null : defaultValue, result);
+          }
+          return result;
+        };
+        page.onAlert = handle('alert');
+        page.onConfirm = handle('confirm');
+        page.onPrompt = handle('prompt');
+        const pickFile = handle('file');
+        page.onFilePicker = () => pickFile('');
+        // the closing page itself can not be passed to node, so node is only notified
+        page.onClosing = () => page.gooseClosingNotify && page.gooseClosingNotify();
+      }
+
+      const url = requestData.url;
+      if (url.indexOf(setupUrl) === 0) {
+        request.abort();
+        return;
+      }
+      const hasAllowedUrls = Array.isArray(allowedUrls) && allowedUrls.length > 0;
+      const hasBlockedUrls = Array.isArray(blockedUrls) && blockedUrls.length > 0;
+      const allowed = !hasAllowedUrls || allowedUrls.some(urlPattern => url.match(urlPattern) !== null);
+
+      let blocked = false;
+      if (!hasAllowedUrls && hasBlockedUrls) {
+        blocked = blockedUrls.some(urlPattern => url.match(urlPattern) !== null);
+      }
+
+      if (!allowed || blocked) {
+        console.log('[GooseParser] Resource ' + requestData.url.substr(0, 30) + ' was aborted');
+        requestData.aborted = true;
+        request.abort();
+        return;
+      }
+
+      const host = ((url.match(/^[a-z][a-z0-9+.-]*:\/\/(?:[^/?#@]*@)?([^/?#:]+)/i) || [])[1] || '').toLowerCase();
+      const isHost = domain => host === domain || host.slice(-domain.length - 1) === '.' + domain;
+      // settings of the page are read on open() only, so credentials of other hosts are sent preemptively
+      const credentials = (credentialsList || []).filter(item => isHost(item.host))[0];
+      if (credentials) {
+        request.setHeader('Authorization', credentials.authorization);
+      }
+
+      if (!Array.isArray(rules) || rules.length === 0) {
+        return;
+      }
+
+      const headers = requestData.headers || [];
+      const getHeader = name => (headers.filter(header => header.name.toLowerCase() === name)[0] || {}).value || '';
+      const urlPath = url.split(/[?#]/)[0].toLowerCase();
+      const accept = getHeader('accept');
+      let resourceType = 'other';
+      if (getHeader('x-requested-with')) {
+        resourceType = 'xhr';
+      } else if (/\.css$/.test(urlPath) || accept.indexOf('text/css') === 0) {
+        resourceType = 'stylesheet';
+      } else if (/\.m?js$/.test(urlPath)) {
+        resourceType = 'script';
+      } else if (/\.(png|jpe?g|gif|svg|webp|ico|bmp)$/.test(urlPath) || accept.indexOf('image/') === 0) {
+        resourceType = 'image';
+      } else if (/\.(woff2?|ttf|otf|eot)$/.test(urlPath)) {
+        resourceType = 'font';
+      } else if (accept.indexOf('text/html') === 0) {
+        resourceType = 'document';
+      }
+
+      let targetUrl = null;
+      const matched = rules.filter(rule =>
+        rule.patterns.every(pattern => new RegExp(pattern.source, pattern.flags).test(url)) &&
+        (!rule.domains || rule.domains.some(isHost)) &&
+        (!rule.resourceTypes || rule.resourceTypes.indexOf(resourceType) !== -1),
+      );
+      for (let i = 0; i < matched.length; i += 1) {
+        const rule = matched[i];
+        if (rule.block) {
+          console.log('[GooseParser] Resource ' + url.substr(0, 30) + ' was blocked by request rule');
+          requestData.aborted = true;
+          request.abort();
+          return;
+        }
+        Object.keys(rule.setHeaders || {}).forEach(name => request.setHeader(name, rule.setHeaders[name]));
+        (rule.removeHeaders || []).forEach(name => request.setHeader(name, null));
+        if (rule.rewrite) {
+          targetUrl = (targetUrl || url).replace(new RegExp(rule.rewrite.source, rule.rewrite.flags), rule.rewrite.to);
+        }
+        if (rule.redirect) {
+          targetUrl = rule.redirect;
+        }
+      }
+
+      if (targetUrl !== null && targetUrl !== url) {
+        requestData.rewrittenUrl = targetUrl;
+        request.changeUrl(targetUrl);
+      }
+    }, (requestData) => {
+      if (isPageSetupUrl(requestData.url)) {
+        return;
+      }
+      context.networkLog.addRequest(requestData);
+      context.inflightRequests[requestData.id] = {
+        method: requestData.method || 'GET',
+        url: requestData.url,
+        headers: requestData.headers || [],
+        postData: typeof requestData.postData === 'string' ? requestData.postData : null,
+      };
+      this._emitter.emit('request', {
+        pageId: context.id,
+        id: requestData.id,
+        url: requestData.url,
+        method: requestData.method,
+        headers: requestData.headers,
+        time: requestData.time,
+        aborted: Boolean(requestData.aborted),
+        rewrittenUrl: requestData.rewrittenUrl || null,
+      });
+    }, resources.allowed, resources.denied, compiledRules, this._getInitScript(), this._httpCredentials.map(item => ({
+      host: item.host.toLowerCase(),
+      authorization: getBasicAuthorization(item),
+    })), PAGE_SETUP_URL);
+    /* eslint-enable no-console, no-undef */
+  }
+
+  /**
+   * @param {PageContext} [context]
+   * @private
+   */
+  _handleLoadFinished(context = this._context) {
+    context.page.set('onLoadFinished', (status) => {
+      debug('Page %d loaded with status %s', context.id, status);
+      if (context === this._context) {
+        const args = {};
+        if (status !== 'success') {
+          args.error = new Error('Page is not loaded');
+        }
+        this.evaluateCallbacks('navigation', null, args);
+      }
+      // goto() detects meta refresh itself before the proxy health is reported
+      if (!context.navigating && status === 'success') {
+        this._detectMetaRefresh(context)
+          .catch(e => debug('Cannot detect meta refresh on page %d: %s', context.id, e.message));
+      }
+      // pages opened by the site are not navigated with goto(), so they get vendors here
+      if (context.openerId !== null && status === 'success') {
+        this._injectVendors(context.page)
+          .catch(e => debug('Cannot inject vendors into page %d: %s', context.id, e.message));
+      }
+      this._emitter.emit('load', { pageId: context.id, status, url: context.currentUrl });
+    });
   }
 
-  _handlePhantomEvents() {
-    const page = this._page;
+  /**
+   * @param {PageContext} [context]
+   * @private
+   */
+  _handlePhantomEvents(context = this._context) {
+    const page = context.page;
 
     page.set('onError', (msg, trace) => {
       phantomError('%s, trace %o', msg, trace);
-      // this._errbacks.splice(0).forEach(errback => errback(msg, trace));
+      this._emitter.emit('pageerror', { pageId: context.id, message: msg, trace });
     });
 
-    // todo: make it workable
     page.set('onConsoleMessage', (msg) => {
       const regex = /^(\[GooseParser])(.+)/i;
       const found = msg.match(regex);
@@ -712,72 +3279,123 @@ class PhantomEnvironment extends AbstractEnvironment {
       } else {
         debug('Phantom page message: ' + msg);
       }
+      this._emitter.emit('console', { pageId: context.id, message: msg });
+    });
+
+    this._setDialogOptions(page);
+    page.set('gooseDialogNotify', (type, message, defaultValue, answer) => {
+      debug('Dialog %s "%s" answered with %s', type, message, answer);
+      context.dialogs.push({ type, message, defaultValue, answer, time: new Date() });
+      this._emitter.emit('dialog', { pageId: context.id, type, message, defaultValue, answer });
     });
 
-    page.set('onNavigationRequested', (url) => {
+    page.set('onNavigationRequested', (url, type, willNavigate, main) => {
       debug('Navigation to %s', url);
-      this.evaluateCallbacks('request', url);
+      if (context === this._context) {
+        this.evaluateCallbacks('request', url);
+      }
+      if (main && willNavigate) {
+        this._trackNavigation(context, url, type);
+      }
+      this._emitter.emit('navigation', { pageId: context.id, url, type, willNavigate, main });
+    });
+
+    page.set('onUrlChanged', (url) => {
+      context.currentUrl = url;
     });
 
-    page.set('onLoadFinished', (status) => {
-      debug('Page loaded with status %s', status);
-      const args = {};
-      if (status === 'success') {
-        args.error = new Error('Page is not loaded');
+    page.set('gooseClosingNotify', () => {
+      if (this._pages.length === 1 && this._pages[0] === context) {
+        debug('Page %d is closed by the site, keeping it as the last page', context.id);
+        return;
       }
-      this.evaluateCallbacks('navigation', null, args);
+      debug('Page %d is closed by the site', context.id);
+      this._removePage(context).catch(e => debug('Cannot remove page %d: %s', context.id, e.message));
+    });
+
+    page.onPageCreated((childPage) => {
+      this._addChildPage(childPage, context).catch(e => debug('Cannot set up page opened by the site: %s', e.message));
     });
 
+    this._handleLoadFinished(context);
+
     page.set('onResourceError', (resourceError) => {
+      if (isPageSetupUrl(resourceError.url)) {
+        return;
+      }
       debug('Navigation error %s %s', resourceError.url, resourceError.errorString);
+      context.networkLog.addError(resourceError);
+      this._finishRequest(context, resourceError.id);
+      this._emitter.emit('requestfailed', {
+        pageId: context.id,
+        id: resourceError.id,
+        url: resourceError.url,
+        errorCode: resourceError.errorCode,
+        errorString: resourceError.errorString,
+        timedOut: false,
+      });
       const matched = this.getProxyIndicators('responseCode').find(item => item.code === resourceError.status);
       if (matched) {
-        this.addProxyError(createProxyError(matched));
+        context.proxyErrors.push(createProxyError(matched));
       }
     });
 
-    page.onResourceRequested(/* @covignore */ (requestData, request, allowedUrls, blockedUrls) => {
-      const url = requestData.url;
-      const hasAllowedUrls = Array.isArray(allowedUrls) && allowedUrls.length > 0;
-      const hasBlockedUrls = Array.isArray(blockedUrls) && blockedUrls.length > 0;
-      const allowed = !hasAllowedUrls || allowedUrls.some(urlPattern => url.match(urlPattern) !== null);
+    this._handleResourceRequests(context);
+
+    page.set('onResourceTimeout', (request) => {
+      debug('Resource timeout %s', request.url);
+      context.networkLog.addError(request);
+      this._finishRequest(context, request.id);
+      this._emitter.emit('requestfailed', {
+        pageId: context.id,
+        id: request.id,
+        url: request.url,
+        errorCode: request.errorCode,
+        errorString: request.errorString,
+        timedOut: true,
+      });
+    });
 
-      let blocked = false;
-      if (!hasAllowedUrls && hasBlockedUrls) {
-        blocked = blockedUrls.some(urlPattern => url.match(urlPattern) !== null);
+    page.set('onResourceReceived', (resource) => {
+      if (isPageSetupUrl(resource.url)) {
+        return;
       }
-
-      if (!allowed || blocked) {
-        console.log( // eslint-disable-line no-console
-          '[GooseParser] Resource ' + requestData.url.substr(0, 30) + ' was aborted',
-        );
-        request.abort();
+      context.networkLog.addResponse(resource);
+      if (
+        resource.stage === 'start' &&
+        this._options.downloadsDir &&
+        isDownload(resource, this._options.downloadContentTypes)
+      ) {
+        this._saveDownload(context, resource, context.inflightRequests[resource.id]).catch((e) => {
+          debug('Download of %s failed: %s', resource.url, e.message);
+          this._emitter.emit('downloadfailed', { pageId: context.id, url: resource.url, error: e });
+        });
       }
-    }, () => {}, this._options.resources.allowed, this._options.resources.denied);
-
-    page.set('onResourceReceived', (resource) => {
-      // redirect has occurred
-      if ([302, 301].indexOf(resource.status) !== -1) {
-        const redirectUrl = extractRedirectUrl(resource) || '';
-
-        // if current url matches with this._url or with the last redirect url from this._redirectUrls
-        if (
-          redirectUrl &&
-          (
-            resource.url === this._url ||
-            resource.url === this._redirectUrls[this._redirectUrls.length - 1]
-          )
-        ) {
-          debug('Redirect to %s', redirectUrl);
-          this._redirectUrls.push(redirectUrl);
-        }
-        const matched = this.getProxyIndicators('redirect').find(item => redirectUrl.match(item.url));
-        if (matched) {
-          this.addProxyError(createProxyError(matched));
-        }
+      if (resource.stage === 'end') {
+        this._finishRequest(context, resource.id);
+        this._emitter.emit('response', {
+          pageId: context.id,
+          id: resource.id,
+          url: resource.url,
+          status: resource.status,
+          statusText: resource.statusText,
+          headers: resource.headers,
+          contentType: resource.contentType,
+          time: resource.time,
+        });
+      }
+      const entry = context.history[context.history.length - 1];
+      if (entry && entry.status === null && entry.url === resource.url && resource.status) {
+        entry.status = resource.status;
+      }
+      if (resource.stage === 'end' && redirectStatuses.indexOf(resource.status) !== -1) {
+        this._handleRedirectResponse(context, resource);
       }
     });
   }
 }
 
+PhantomEnvironment.PhantomPool = PhantomPool;
+PhantomEnvironment.errors = errors;
+
 module.exports = PhantomEnvironment;
@@ -0,0 +1,332 @@
+const debug = require('debug')('PhantomPool');
+const { getFlags, createPhantom, getMemoryUsage } = require('./phantomProcess');
+const { TimeoutError } = require('./errors');
+
+/**
+ * @typedef {object} PhantomPoolOptions
+ * @property {?number} maxInstances maximum number of phantom processes running at the same time
+ * @property {?number} pagesPerInstance maximum number of environments sharing one process at the same time, only
+ * environments with `sharedCookieJar` option share processes
+ * @property {?number} recycleAfter process is restarted after serving that many environments
+ * @property {?number} maxMemory process is restarted once its resident memory grows above that many bytes
+ * @property {?number} idleTimeout ms after which unused process is stopped, 0 keeps it running until destroy()
+ */
+const defaultOptions = {
+  maxInstances: 2,
+  pagesPerInstance: 4,
+  recycleAfter: 50,
+  maxMemory: null,
+  idleTimeout: 30000,
+};
+
+/**
+ * @typedef {object} PhantomLease
+ * @property {object} phantom phantom instance, the holder creates and closes its pages itself
+ */
+
+/**
+ * @typedef {object} PhantomAcquireOptions
+ * @property {?boolean} exclusive do not share the process while the lease is held,
+ *                                needed when process wide settings like proxy or cookies are changed
+ * @property {?function(number, string)} onExit called if the process exits while the lease is held
+ * @property {?number} timeout ms to wait in the queue for a free process, 0 waits without limit
+ */
+
+/**
+ * Keeps warm phantom processes and shares them between environments
+ */
+class PhantomPool {
+  /**
+   * @param {?PhantomPoolOptions} options
+   */
+  constructor(options = {}) {
+    this._options = Object.assign({}, defaultOptions, options);
+    this._entries = [];
+    this._leases = new Map();
+    this._queue = [];
+    this._entryIdCounter = 0;
+    this._destroyed = false;
+  }
+
+  /**
+   * @returns {{instances: number, leases: number, waiting: number}}
+   */
+  getStats() {
+    return {
+      instances: this._entries.length,
+      leases: this._leases.size,
+      waiting: this._queue.length,
+    };
+  }
+
+  /**
+   * Lease a process started with flags from the environment options, waits while the pool is full
+   * @param {PhantomEnvironmentOptions} envOptions
+   * @param {?PhantomAcquireOptions} acquireOptions
+   * @returns {Promise.<PhantomLease>}
+   */
+  acquire(envOptions, acquireOptions = {}) {
+    if (this._destroyed) {
+      return Promise.reject(new Error('Phantom pool is destroyed'));
+    }
+    return new Promise((resolve, reject) => {
+      const item = { envOptions, acquireOptions, resolve, reject, timer: null };
+      if (acquireOptions.timeout) {
+        item.timer = setTimeout(() => {
+          this._queue.splice(this._queue.indexOf(item), 1);
+          reject(new TimeoutError('free phantom process', null, acquireOptions.timeout, acquireOptions.timeout));
+        }, acquireOptions.timeout);
+      }
+      this._queue.push(item);
+      this._dispatch();
+    });
+  }
+
+  /**
+   * Return the process to the pool, all pages of the lease must be closed before
+   * @param {PhantomLease} lease
+   * @returns {Promise}
+   */
+  async release(lease) {
+    const entry = this._leases.get(lease);
+    if (!entry) {
+      return;
+    }
+    this._leases.delete(lease);
+    entry.leases.splice(entry.leases.indexOf(lease), 1);
+    entry.exitHandlers.delete(lease);
+    entry.exclusive = false;
+    entry.served += 1;
+    debug('Process %d released, served %d', entry.id, entry.served);
+
+    if (entry.served >= this._options.recycleAfter) {
+      debug('Process %d served %d environments, recycling', entry.id, entry.served);
+      entry.retired = true;
+    } else if (!entry.retired && this._options.maxMemory && entry.phantom && entry.phantom.process) {
+      const memory = await getMemoryUsage(entry.phantom.process.pid);
+      if (memory !== null && memory > this._options.maxMemory) {
+        debug('Process %d uses %d bytes, recycling', entry.id, memory);
+        entry.retired = true;
+      }
+    }
+
+    if (entry.retired) {
+      this._retire(entry);
+    } else {
+      this._scheduleIdle(entry);
+    }
+    this._dispatch();
+  }
+
+  /**
+   * Stop all processes, pending acquires are rejected
+   * @returns {Promise}
+   */
+  async destroy() {
+    this._destroyed = true;
+    this._queue.splice(0).forEach((item) => {
+      clearTimeout(item.timer);
+      item.reject(new Error('Phantom pool is destroyed'));
+    });
+    await Promise.all(this._entries.slice().map(entry => this._stop(entry)));
+  }
+
+  /**
+   * Hand out processes to waiting acquires while there is capacity
+   * @private
+   */
+  _dispatch() {
+    while (this._queue.length > 0) {
+      const item = this._queue[0];
+      const entry = this._findEntry(item.envOptions, item.acquireOptions);
+      if (!entry) {
+        return;
+      }
+      this._queue.shift();
+      clearTimeout(item.timer);
+      this._lease(entry, item);
+    }
+  }
+
+  /**
+   * @param {PhantomEnvironmentOptions} envOptions
+   * @param {PhantomAcquireOptions} acquireOptions
+   * @returns {?object} pool entry with free capacity
+   * @private
+   */
+  _findEntry(envOptions, acquireOptions) {
+    const key = getFlags(envOptions).concat(envOptions.phantomPath || '').join(' ');
+    const exclusive = Boolean(acquireOptions.exclusive);
+    const matching = this._entries.find(entry =>
+      entry.key === key &&
+      !entry.retired &&
+      !entry.exclusive &&
+      entry.leases.length < this._options.pagesPerInstance &&
+      (!exclusive || entry.leases.length === 0));
+    if (matching) {
+      return matching;
+    }
+
+    if (this._entries.length >= this._options.maxInstances) {
+      // make room by stopping an idle process which can not take this lease
+      const idle = this._entries.find(entry => entry.leases.length === 0);
+      if (!idle) {
+        return null;
+      }
+      this._stop(idle).catch(e => debug('Cannot stop process %d: %s', idle.id, e.message));
+    }
+    return this._start(key, envOptions);
+  }
+
+  /**
+   * @param {object} entry
+   * @param {{acquireOptions: PhantomAcquireOptions, resolve: function, reject: function}} item
+   * @private
+   */
+  _lease(entry, item) {
+    const lease = { phantom: null };
+    this._leases.set(lease, entry);
+    entry.leases.push(lease);
+    entry.exclusive = Boolean(item.acquireOptions.exclusive);
+    entry.exitHandlers.set(lease, item.acquireOptions.onExit || null);
+    clearTimeout(entry.idleTimer);
+
+    entry.ready
+      .then((phantomInstance) => {
+        lease.phantom = phantomInstance;
+        debug('Process %d leased, %d leases', entry.id, entry.leases.length);
+        item.resolve(lease);
+      })
+      .catch((e) => {
+        this._leases.delete(lease);
+        item.reject(e);
+      });
+  }
+
+  /**
+   * @param {string} key
+   * @param {PhantomEnvironmentOptions} envOptions
+   * @returns {object} pool entry
+   * @private
+   */
+  _start(key, envOptions) {
+    this._entryIdCounter += 1;
+    const entry = {
+      id: this._entryIdCounter,
+      key,
+      phantom: null,
+      leases: [],
+      exitHandlers: new Map(),
+      exclusive: false,
+      retired: false,
+      served: 0,
+      idleTimer: null,
+      ready: null,
+    };
+    debug('Starting process %d', entry.id);
+    entry.ready = createPhantom(envOptions, (code, signal) => this._handleExit(entry, code, signal))
+      .then((phantomInstance) => {
+        entry.phantom = phantomInstance;
+        return phantomInstance;
+      })
+      .catch((e) => {
+        this._remove(entry);
+        this._dispatch();
+        throw e;
+      });
+    this._entries.push(entry);
+    return entry;
+  }
+
+  /**
+   * Stop the process as soon as the last lease is released
+   * @param {object} entry
+   * @private
+   */
+  _retire(entry) {
+    entry.retired = true;
+    if (entry.leases.length === 0) {
+      this._stop(entry).catch(e => debug('Cannot stop process %d: %s', entry.id, e.message));
+    }
+  }
+
+  /**
+   * @param {object} entry
+   * @private
+   */
+  _scheduleIdle(entry) {
+    if (entry.retired || entry.leases.length > 0 || !this._options.idleTimeout) {
+      return;
+    }
+    clearTimeout(entry.idleTimer);
+    entry.idleTimer = setTimeout(() => {
+      if (entry.leases.length === 0) {
+        debug('Process %d is idle, stopping', entry.id);
+        this._retire(entry);
+      }
+    }, this._options.idleTimeout);
+    entry.idleTimer.unref();
+  }
+
+  /**
+   * @param {object} entry
+   * @returns {Promise}
+   * @private
+   */
+  async _stop(entry) {
+    this._remove(entry);
+    const phantomInstance = await entry.ready.catch(() => null);
+    if (!phantomInstance || !phantomInstance.process) {
+      return;
+    }
+
+    debug('Stopping process %d, pid %d', entry.id, phantomInstance.process.pid);
+    const exited = new Promise((resolve) => {
+      const timeout = setTimeout(() => {
+        debug('Process %d did not exit in time, killing it', entry.id);
+        if (phantomInstance.process) {
+          phantomInstance.process.kill('SIGKILL');
+        }
+        resolve();
+      }, 5000); // 5 sec to die
+      phantomInstance.process.once('exit', () => {
+        clearTimeout(timeout);
+        resolve();
+      });
+    });
+    phantomInstance.exit();
+    await exited;
+  }
+
+  /**
+   * @param {object} entry
+   * @private
+   */
+  _remove(entry) {
+    clearTimeout(entry.idleTimer);
+    entry.retired = true;
+    const index = this._entries.indexOf(entry);
+    if (index !== -1) {
+      this._entries.splice(index, 1);
+    }
+  }
+
+  /**
+   * @param {object} entry
+   * @param {number} code
+   * @param {string} signal
+   * @private
+   */
+  _handleExit(entry, code, signal) {
+    debug('Process %d exited with code %s and signal %s', entry.id, code, signal);
+    const handlers = Array.from(entry.exitHandlers.values());
+    entry.leases.forEach(lease => this._leases.delete(lease));
+    entry.leases = [];
+    entry.exitHandlers.clear();
+    this._remove(entry);
+    this._dispatch();
+    handlers.filter(Boolean).forEach(handler => handler(code, signal));
+  }
+}
+
+module.exports = PhantomPool;
@@ -0,0 +1,243 @@
+const debug = require('debug')('ProxyPool');
+
+/**
+ * Order matters: the first level is the most severe one
+ * @type {Array.<string>}
+ */
+const LEVELS = ['high', 'medium', 'low'];
+
+/**
+ * @typedef {object} ProxyPoolOptions
+ * @property {?object} cooldown base cooldown in ms per indicator level, e.g. {high: 600000, medium: 120000, low: 30000}
+ * @property {?number} maxCooldown upper bound for the cooldown which grows with consecutive failures
+ * @property {?number} maxFailures amount of consecutive failures after which proxy is disabled forever,
+ * null means never
+ */
+const defaultOptions = {
+  cooldown: {
+    high: 10 * 60 * 1000,
+    medium: 2 * 60 * 1000,
+    low: 30 * 1000,
+  },
+  maxCooldown: 60 * 60 * 1000,
+  maxFailures: null,
+};
+
+/**
+ * @typedef {object} ProxyStats
+ * @property {number} successes
+ * @property {number} failures
+ * @property {number} consecutiveFailures
+ * @property {object} levels amount of failures per indicator level
+ * @property {?number} lastFailureAt
+ * @property {?number} cooldownUntil
+ * @property {boolean} disabled
+ * @property {number} score value between 0 and 1, the higher the healthier
+ */
+
+/**
+ * @param {Proxy} proxy
+ * @returns {string}
+ */
+function getProxyKey(proxy) {
+  return proxy.host + ':' + proxy.port;
+}
+
+/**
+ * @param {string} level
+ * @returns {string}
+ */
+function normalizeLevel(level) {
+  return LEVELS.indexOf(level) !== -1 ? level : 'medium';
+}
+
+/**
+ * @param {ProxyStats} stats
+ * @returns {ProxyStats} copy which does not share the levels object
+ */
+function copyStats(stats) {
+  return Object.assign({}, stats, { levels: Object.assign({}, stats.levels) });
+}
+
+/**
+ * Keeps health statistics of the proxy list and decides which proxies are available right now
+ */
+class ProxyPool {
+  /**
+   * @param {Array.<Proxy>} proxies
+   * @param {?ProxyPoolOptions} options
+   */
+  constructor(proxies, options = {}) {
+    this._options = Object.assign({}, defaultOptions, options);
+    this._options.cooldown = Object.assign({}, defaultOptions.cooldown, options.cooldown);
+    this._proxies = proxies || [];
+    this._stats = {};
+  }
+
+  /**
+   * @returns {Array.<Proxy>}
+   */
+  getProxies() {
+    return this._proxies;
+  }
+
+  /**
+   * Proxies which are neither disabled nor cooling down
+   * @param {number} [now]
+   * @returns {Array.<Proxy>}
+   */
+  getAvailable(now = Date.now()) {
+    return this._proxies.filter(proxy => this.isAvailable(proxy, now));
+  }
+
+  /**
+   * @param {Proxy} proxy
+   * @param {number} [now]
+   * @returns {boolean}
+   */
+  isAvailable(proxy, now = Date.now()) {
+    const stats = this._stats[getProxyKey(proxy)];
+    if (!stats) {
+      return true;
+    }
+    return !stats.disabled && (stats.cooldownUntil === null || stats.cooldownUntil <= now);
+  }
+
+  /**
+   * @param {Proxy} [proxy] stats of all proxies keyed by host:port if omitted
+   * @returns {ProxyStats|object}
+   */
+  getStats(proxy) {
+    if (proxy) {
+      return copyStats(this._getStats(proxy));
+    }
+
+    return this._proxies.reduce((result, item) => {
+      result[getProxyKey(item)] = copyStats(this._getStats(item));
+      return result;
+    }, {});
+  }
+
+  /**
+   * Proxies worth trying now: available ones or, if all proxies are cooling down,
+   * the ones which are not disabled sorted by the time they recover
+   * @returns {Array.<Proxy>}
+   */
+  getCandidates() {
+    const available = this.getAvailable();
+    if (available.length > 0) {
+      return available;
+    }
+    debug('All proxies are cooling down');
+    return this._proxies
+      .filter(proxy => !this._getStats(proxy).disabled)
+      .sort((a, b) => this._getStats(a).cooldownUntil - this._getStats(b).cooldownUntil);
+  }
+
+  /**
+   * @param {Proxy} proxy
+   */
+  markSuccess(proxy) {
+    const stats = this._getStats(proxy);
+    stats.successes += 1;
+    stats.consecutiveFailures = 0;
+    stats.cooldownUntil = null;
+    stats.score = this._calculateScore(stats);
+  }
+
+  /**
+   * Put proxy on a cooldown which depends on the indicator level and grows with consecutive failures
+   * @param {Proxy} proxy
+   * @param {string} [level] high, medium or low
+   */
+  markFailure(proxy, level) {
+    const { cooldown, maxCooldown, maxFailures } = this._options;
+    const stats = this._getStats(proxy);
+    const normalizedLevel = normalizeLevel(level);
+    const now = Date.now();
+
+    stats.failures += 1;
+    stats.consecutiveFailures += 1;
+    stats.levels[normalizedLevel] += 1;
+    stats.lastFailureAt = now;
+    stats.cooldownUntil = now + Math.min(
+      cooldown[normalizedLevel] * (2 ** (stats.consecutiveFailures - 1)),
+      maxCooldown,
+    );
+    if (maxFailures !== null && stats.consecutiveFailures >= maxFailures) {
+      stats.disabled = true;
+    }
+    stats.score = this._calculateScore(stats);
+    debug('Proxy %s failed with level %s, cooldown till %s', getProxyKey(proxy), normalizedLevel,
+      new Date(stats.cooldownUntil).toISOString());
+  }
+
+  /**
+   * Pick an available proxy, the healthier the proxy the higher the chance.
+   * If all proxies are cooling down the one which recovers first is returned.
+   * @param {?Proxy} [exclude] proxy which should be avoided if there are others
+   * @returns {?Proxy}
+   */
+  pick(exclude) {
+    let candidates = this.getAvailable();
+    if (candidates.length === 0) {
+      return this.getCandidates()[0] || null;
+    }
+    if (exclude && candidates.length > 1) {
+      const excludeKey = getProxyKey(exclude);
+      candidates = candidates.filter(proxy => getProxyKey(proxy) !== excludeKey);
+    }
+
+    const total = candidates.reduce((sum, proxy) => sum + this._getStats(proxy).score, 0);
+    let threshold = Math.random() * total;
+    return candidates.find((proxy) => {
+      threshold -= this._getStats(proxy).score;
+      return threshold <= 0;
+    }) || candidates[candidates.length - 1];
+  }
+
+  /**
+   * @param {Proxy} proxy
+   * @returns {ProxyStats}
+   * @private
+   */
+  _getStats(proxy) {
+    const key = getProxyKey(proxy);
+    if (!this._stats[key]) {
+      this._stats[key] = {
+        successes: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        levels: { high: 0, medium: 0, low: 0 },
+        lastFailureAt: null,
+        cooldownUntil: null,
+        disabled: false,
+        score: 0.5,
+      };
+    }
+    return this._stats[key];
+  }
+
+  /**
+   * Laplace smoothed success rate where severe failures weigh more
+   * @param {ProxyStats} stats
+   * @returns {number}
+   * @private
+   */
+  _calculateScore(stats) { // eslint-disable-line class-methods-use-this
+    const weightedFailures = LEVELS.reduce(
+      (sum, level, index) => sum + stats.levels[level] * (LEVELS.length - index),
+      0,
+    );
+    return (stats.successes + 1) / (stats.successes + weightedFailures + 2);
+  }
+}
+
+/**
+ * @param {Array.<string>} levels
+ * @returns {string} the most severe level from the list
+ */
+ProxyPool.getHighestLevel = levels => LEVELS.find(level => levels.indexOf(level) !== -1) || 'medium';
+ProxyPool.LEVELS = LEVELS;
+
+module.exports = ProxyPool;
@@ -0,0 +1,49 @@
+const path = require('path');
+const { mkdir, writeFile, readFile } = require('./fsUtils');
+
+const HTML_FILE = 'page.html';
+const STATE_FILE = 'state.json';
+const HAR_FILE = 'network.har';
+
+/**
+ * Offline copy of the page state which can be replayed without network
+ * @typedef {object} Bundle
+ * @property {string} url url passed to goto()
+ * @property {string} currentUrl url of the document when the bundle was saved
+ * @property {Array.<string>} redirectUrls
+ * @property {Array.<Cookie>} cookies
+ * @property {Array.<NetworkLogEntry>} networkLog
+ * @property {string} savedAt
+ * @property {string} html serialized DOM with disabled scripts
+ */
+
+/**
+ * @param {string} dir
+ * @param {Bundle} bundle
+ * @param {object} har network log in HAR format
+ * @returns {Promise}
+ */
+async function saveBundle(dir, bundle, har) {
+  const state = Object.assign({}, bundle);
+  delete state.html;
+
+  await mkdir(dir);
+  await writeFile(path.join(dir, HTML_FILE), bundle.html, 'utf-8');
+  await writeFile(path.join(dir, STATE_FILE), JSON.stringify(state, null, '  '), 'utf-8');
+  await writeFile(path.join(dir, HAR_FILE), JSON.stringify(har, null, '  '), 'utf-8');
+}
+
+/**
+ * @param {string} dir
+ * @returns {Promise.<Bundle>}
+ */
+async function loadBundle(dir) {
+  const state = JSON.parse(await readFile(path.join(dir, STATE_FILE), 'utf-8'));
+  const html = await readFile(path.join(dir, HTML_FILE), 'utf-8');
+  return Object.assign({ redirectUrls: [], cookies: [], networkLog: [] }, state, { html });
+}
+
+module.exports = {
+  saveBundle,
+  loadBundle,
+};
@@ -0,0 +1,140 @@
+/**
+ * @typedef {object} Cookie
+ * @property {string} name
+ * @property {string} value
+ * @property {string} domain leading dot means the cookie is sent to subdomains as well
+ * @property {?string} path
+ * @property {?boolean} httponly
+ * @property {?boolean} secure
+ * @property {?number} expiry unix timestamp in seconds, session cookie if omitted
+ */
+
+const HTTP_ONLY_PREFIX = '#HttpOnly_';
+
+/**
+ * @param {Cookie} cookie
+ * @param {string} domain
+ * @returns {boolean}
+ */
+function matchesDomain(cookie, domain) {
+  const cookieDomain = (cookie.domain || '').replace(/^\./, '').toLowerCase();
+  const host = domain.replace(/^\./, '').toLowerCase();
+  return host === cookieDomain || host.endsWith('.' + cookieDomain) || cookieDomain.endsWith('.' + host);
+}
+
+/**
+ * Drop properties phantom adds on its own, e.g. human readable `expires`
+ * @param {Cookie} cookie
+ * @returns {Cookie}
+ */
+function normalizeCookie(cookie) {
+  const normalized = {
+    name: cookie.name,
+    value: cookie.value,
+    domain: cookie.domain,
+    path: cookie.path || '/',
+    httponly: Boolean(cookie.httponly),
+    secure: Boolean(cookie.secure),
+  };
+  if (cookie.expiry) {
+    normalized.expiry = cookie.expiry;
+  }
+  return normalized;
+}
+
+/**
+ * Serialize cookies in the Netscape cookies.txt format used by curl and wget
+ * @param {Array.<Cookie>} cookies
+ * @returns {string}
+ */
+function toNetscape(cookies) {
+  const lines = cookies.map((cookie) => {
+    const domain = cookie.domain || '';
+    return [
+      (cookie.httponly ? HTTP_ONLY_PREFIX : '') + domain,
+      domain.startsWith('.') ? 'TRUE' : 'FALSE',
+      cookie.path || '/',
+      cookie.secure ? 'TRUE' : 'FALSE',
+      cookie.expiry || 0,
+      cookie.name,
+      cookie.value,
+    ].join('\t');
+  });
+  return ['# Netscape HTTP Cookie File', ''].concat(lines).join('\n') + '\n';
+}
+
+/**
+ * @param {string} content
+ * @returns {Array.<Cookie>}
+ */
+function fromNetscape(content) {
+  return content.split(/\r?\n/).reduce((cookies, rawLine) => {
+    let line = rawLine.trim();
+    let httponly = false;
+    if (line.startsWith(HTTP_ONLY_PREFIX)) {
+      line = line.substr(HTTP_ONLY_PREFIX.length);
+      httponly = true;
+    }
+    if (!line || line.startsWith('#')) {
+      return cookies;
+    }
+
+    const parts = line.split('\t');
+    if (parts.length < 7) {
+      throw new Error('Malformed Netscape cookie line: ' + rawLine);
+    }
+    const [domain, , cookiePath, secure, expiry, name, ...value] = parts;
+    cookies.push(normalizeCookie({
+      name,
+      value: value.join('\t'),
+      domain,
+      path: cookiePath,
+      httponly,
+      secure: secure.toUpperCase() === 'TRUE',
+      expiry: Number(expiry) || null,
+    }));
+    return cookies;
+  }, []);
+}
+
+/**
+ * @param {Array.<Cookie>} cookies
+ * @param {string} format json or netscape
+ * @returns {string}
+ */
+function serialize(cookies, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(cookies.map(normalizeCookie), null, '  ');
+    case 'netscape':
+      return toNetscape(cookies);
+    default:
+      throw new Error('Unsupported cookies format ' + format);
+  }
+}
+
+/**
+ * @param {string} content
+ * @param {?string} [format] json or netscape, detected by content if omitted
+ * @returns {Array.<Cookie>}
+ */
+function parse(content, format) {
+  const detectedFormat = format || (/^\s*[[{]/.test(content) ? 'json' : 'netscape');
+  switch (detectedFormat) {
+    case 'json': {
+      const parsed = JSON.parse(content);
+      return (Array.isArray(parsed) ? parsed : [parsed]).map(normalizeCookie);
+    }
+    case 'netscape':
+      return fromNetscape(content);
+    default:
+      throw new Error('Unsupported cookies format ' + format);
+  }
+}
+
+module.exports = {
+  matchesDomain,
+  normalizeCookie,
+  serialize,
+  parse,
+};
@@ -0,0 +1,238 @@
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const path = require('path');
+const fs = require('fs');
+const { parse: parseUrl } = require('url');
+const { mkdir, writeFile } = require('./fsUtils');
+
+/**
+ * File which the page offered for download
+ * @typedef {object} Download
+ * @property {string} url
+ * @property {string} method method of the request which was repeated
+ * @property {string} fileName name suggested by the server
+ * @property {string} filePath where the file was saved
+ * @property {?string} mimeType
+ * @property {number} size bytes written
+ * @property {number} status
+ * @property {number} pageId
+ * @property {string} savedAt
+ */
+
+/**
+ * @param {Array.<Header>} headers
+ * @param {string} name lower case
+ * @returns {string}
+ */
+function getHeader(headers, name) {
+  const header = (headers || []).find(item => item.name && item.name.toLowerCase() === name);
+  return header ? header.value : '';
+}
+
+/**
+ * @typedef {object} DownloadRequest
+ * @property {string} method
+ * @property {object} headers
+ * @property {?string} body
+ * @property {?Proxy} proxy http proxy the page uses
+ * @property {number} pageId
+ */
+
+/**
+ * Phantom cannot save downloads, it only reports the response, so the file is fetched again from node
+ * @param {{headers: Array.<Header>, contentType: ?string}} resource
+ * @param {Array.<string|RegExp>} [contentTypes] content types which are downloads even without
+ * `Content-Disposition: attachment`, strings match the beginning of the content type
+ * @returns {boolean}
+ */
+function isDownload(resource, contentTypes = []) {
+  if (/^\s*attachment/i.test(getHeader(resource.headers, 'content-disposition'))) {
+    return true;
+  }
+  const contentType = (resource.contentType || '').toLowerCase();
+  return contentType !== '' && contentTypes.some(type => (type instanceof RegExp
+    ? type.test(contentType)
+    : contentType.indexOf(String(type).toLowerCase()) === 0));
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * @param {{url: string, headers: Array.<Header>}} resource
+ * @returns {string}
+ */
+function getFileName(resource) {
+  const disposition = getHeader(resource.headers, 'content-disposition');
+  const encoded = disposition.match(/filename\*\s*=\s*[^']*'[^']*'([^;]+)/i);
+  const plain = disposition.match(/filename\s*=\s*"?([^";]+)"?/i);
+  let fileName = null;
+  if (encoded) {
+    fileName = safeDecode(encoded[1]);
+  } else if (plain) {
+    fileName = plain[1];
+  } else {
+    fileName = safeDecode(path.basename(parseUrl(resource.url).pathname || ''));
+  }
+  // never let the server choose the directory
+  return path.basename(fileName.trim()).replace(/[\\/:*?"<>|]/g, '_') || 'download';
+}
+
+/**
+ * @param {string} dir
+ * @param {string} fileName
+ * @returns {string} path which does not overwrite previous downloads
+ */
+function getUniquePath(dir, fileName) {
+  const ext = path.extname(fileName);
+  const base = path.basename(fileName, ext);
+  let filePath = path.join(dir, fileName);
+  for (let i = 1; fs.existsSync(filePath); i += 1) {
+    filePath = path.join(dir, `${base} (${i})${ext}`);
+  }
+  return filePath;
+}
+
+/**
+ * @param {Proxy} proxy
+ * @returns {object}
+ */
+function getProxyHeaders(proxy) {
+  if (!proxy.username) {
+    return {};
+  }
+  const token = Buffer.from(proxy.username + ':' + (proxy.password || ''), 'utf-8').toString('base64');
+  return { 'Proxy-Authorization': 'Basic ' + token };
+}
+
+/**
+ * Open a tunnel to the https host through the http proxy
+ * @param {object} target parsed url
+ * @param {Proxy} proxy
+ * @returns {Promise.<object>} socket
+ */
+function connectTunnel(target, proxy) {
+  const address = target.hostname + ':' + (target.port || 443);
+  return new Promise((resolve, reject) => {
+    const request = http.request({
+      hostname: proxy.host,
+      port: proxy.port,
+      method: 'CONNECT',
+      path: address,
+      headers: Object.assign({ Host: address }, getProxyHeaders(proxy)),
+    });
+    request.once('connect', (response, socket) => {
+      if (response.statusCode !== 200) {
+        socket.destroy();
+        reject(new Error(`Proxy ${proxy.host}:${proxy.port} refused the tunnel to ${address} with status ` +
+          response.statusCode));
+        return;
+      }
+      resolve(socket);
+    });
+    request.once('error', reject);
+    request.end();
+  });
+}
+
+/**
+ * @param {string} url
+ * @param {DownloadRequest} downloadRequest
+ * @returns {Promise.<object>} request options for http or https module
+ */
+async function getRequestOptions(url, { method, headers, body, proxy }) {
+  const target = parseUrl(url);
+  const options = {
+    method,
+    hostname: target.hostname,
+    port: target.port,
+    path: target.path,
+    headers: Object.assign({}, headers),
+    rejectUnauthorized: false,
+  };
+  if (body !== null) {
+    options.headers['Content-Length'] = Buffer.byteLength(body, 'utf-8');
+  }
+  if (!proxy) {
+    return options;
+  }
+
+  if (target.protocol === 'https:') {
+    const socket = await connectTunnel(target, proxy);
+    return Object.assign(options, {
+      agent: false,
+      createConnection: () => tls.connect({ socket, servername: target.hostname, rejectUnauthorized: false }),
+    });
+  }
+  return Object.assign(options, {
+    hostname: proxy.host,
+    port: proxy.port,
+    path: url,
+    headers: Object.assign(options.headers, getProxyHeaders(proxy)),
+  });
+}
+
+/**
+ * Repeat the request of the page and save the response with `.json` metadata next to it
+ * @param {string} dir
+ * @param {{url: string, headers: Array.<Header>, contentType: ?string}} resource
+ * @param {DownloadRequest} downloadRequest
+ * @returns {Promise.<Download>}
+ */
+async function saveDownload(dir, resource, downloadRequest) {
+  await mkdir(dir);
+  const filePath = getUniquePath(dir, getFileName(resource));
+  const transport = parseUrl(resource.url).protocol === 'https:' ? https : http;
+  const options = await getRequestOptions(resource.url, downloadRequest);
+
+  const { status, size } = await new Promise((resolve, reject) => {
+    const request = transport.request(options, (response) => {
+      if (response.statusCode >= 400) {
+        response.resume();
+        reject(new Error(`Download of ${resource.url} failed with status ${response.statusCode}`));
+        return;
+      }
+      const file = fs.createWriteStream(filePath);
+      let written = 0;
+      response.on('data', (chunk) => {
+        written += chunk.length;
+      });
+      response.on('error', reject);
+      file.on('error', reject);
+      file.on('finish', () => resolve({ status: response.statusCode, size: written }));
+      response.pipe(file);
+    });
+    request.on('error', reject);
+    request.end(downloadRequest.body === null ? undefined : downloadRequest.body, 'utf-8');
+  });
+
+  const download = {
+    url: resource.url,
+    method: downloadRequest.method,
+    fileName: path.basename(filePath),
+    filePath,
+    mimeType: resource.contentType || null,
+    size,
+    status,
+    pageId: downloadRequest.pageId,
+    savedAt: new Date().toISOString(),
+  };
+  await writeFile(filePath + '.json', JSON.stringify(download, null, '  '), 'utf-8');
+  return download;
+}
+
+module.exports = {
+  isDownload,
+  getFileName,
+  saveDownload,
+};
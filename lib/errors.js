@@ -0,0 +1,131 @@
+/**
+ * Base class of errors thrown by the environment
+ */
+class PhantomEnvironmentError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * Operation on phantom did not complete in time
+ */
+class TimeoutError extends PhantomEnvironmentError {
+  /**
+   * @param {string} subject what was awaited
+   * @param {?string} url url of the page
+   * @param {number} timeout
+   * @param {number} elapsed ms passed since the operation started
+   */
+  constructor(subject, url, timeout, elapsed) {
+    super(`Timeout of ${timeout} ms exceeded while waiting for ${subject}` + (url ? ` on ${url}` : ''));
+    this.url = url;
+    this.timeout = timeout;
+    this.elapsed = elapsed;
+  }
+}
+
+/**
+ * Proxy indicator matched the loaded page
+ */
+class ProxyError extends PhantomEnvironmentError {
+  /**
+   * @param {string} message
+   * @param {ProxyIndicator} proxyIndicator
+   */
+  constructor(message, proxyIndicator) {
+    super(message);
+    this.proxyIndicator = proxyIndicator.type;
+    this.proxyLevel = proxyIndicator.level || 'medium';
+  }
+}
+
+/**
+ * Page was not loaded
+ */
+class NavigationError extends PhantomEnvironmentError {
+  /**
+   * @param {string} message
+   * @param {string} url
+   * @param {Array.<Error>} [attempts] errors of every attempt when the navigation was retried
+   */
+  constructor(message, url, attempts = []) {
+    super(message);
+    this.url = url;
+    this.attempts = attempts;
+    const lastError = attempts[attempts.length - 1];
+    this.proxyIndicator = lastError ? lastError.proxyIndicator : undefined;
+    this.proxyLevel = lastError ? lastError.proxyLevel : undefined;
+  }
+}
+
+/**
+ * Evaluated function threw inside the page
+ */
+class EvaluationError extends PhantomEnvironmentError {
+  /**
+   * @param {string} message
+   * @param {?string} url
+   * @param {?string} pageStack stack trace from the page
+   */
+  constructor(message, url, pageStack) {
+    super(message);
+    this.url = url;
+    this.pageStack = pageStack;
+  }
+}
+
+/**
+ * Element which the action targets is not on the page
+ */
+class ElementNotFoundError extends PhantomEnvironmentError {
+  /**
+   * @param {string} selector
+   * @param {string} [message]
+   */
+  constructor(selector, message = 'Element ' + selector + ' was not found') {
+    super(message);
+    this.selector = selector;
+  }
+}
+
+/**
+ * Phantom process ended unexpectedly
+ */
+class PhantomCrashError extends PhantomEnvironmentError {
+  /**
+   * @param {number} code
+   * @param {?string} signal
+   */
+  constructor(code, signal) {
+    super(`The PhantomJS process ended unexpectedly with code ${code} and signal ${signal}`);
+    this.code = code;
+    this.signal = signal;
+  }
+}
+
+class ProcessStartTimeoutError extends TimeoutError {}
+
+class NavigationTimeoutError extends TimeoutError {}
+
+class EvaluationTimeoutError extends TimeoutError {}
+
+class SnapshotTimeoutError extends TimeoutError {}
+
+module.exports = {
+  PhantomEnvironmentError,
+  ProxyError,
+  NavigationError,
+  EvaluationError,
+  ElementNotFoundError,
+  PhantomCrashError,
+  TimeoutError,
+  ProcessStartTimeoutError,
+  NavigationTimeoutError,
+  EvaluationTimeoutError,
+  SnapshotTimeoutError,
+};
@@ -0,0 +1,29 @@
+const fs = require('fs');
+const mkdirp = require('mkdirp');
+
+/**
+ * Promise versions of the fs functions, arguments are passed through as is
+ */
+
+function mkdir(...args) {
+  return new Promise((resolve, reject) => mkdirp(...args, e => (e ? reject(e) : resolve())));
+}
+
+function writeFile(...args) {
+  return new Promise((resolve, reject) => fs.writeFile(...args, e => (e ? reject(e) : resolve())));
+}
+
+function readFile(...args) {
+  return new Promise((resolve, reject) => fs.readFile(...args, (e, data) => (e ? reject(e) : resolve(data))));
+}
+
+function unlink(...args) {
+  return new Promise((resolve, reject) => fs.unlink(...args, e => (e ? reject(e) : resolve())));
+}
+
+module.exports = {
+  mkdir,
+  writeFile,
+  readFile,
+  unlink,
+};
@@ -0,0 +1,65 @@
+/**
+ * Qt key codes which phantom expects in sendEvent for non printable keys
+ * @type {object}
+ */
+const KEY_CODES = {
+  Escape: 16777216,
+  Tab: 16777217,
+  Backspace: 16777219,
+  Return: 16777220,
+  Enter: 16777221,
+  Insert: 16777222,
+  Delete: 16777223,
+  Home: 16777232,
+  End: 16777233,
+  ArrowLeft: 16777234,
+  ArrowUp: 16777235,
+  ArrowRight: 16777236,
+  ArrowDown: 16777237,
+  PageUp: 16777238,
+  PageDown: 16777239,
+  Space: 32,
+};
+
+/**
+ * @type {object}
+ */
+const MODIFIERS = {
+  shift: 0x02000000,
+  ctrl: 0x04000000,
+  alt: 0x08000000,
+  meta: 0x10000000,
+};
+
+/**
+ * @param {string} key name from KEY_CODES or a single character
+ * @returns {number|string}
+ */
+function getKeyCode(key) {
+  if (Object.prototype.hasOwnProperty.call(KEY_CODES, key)) {
+    return KEY_CODES[key];
+  }
+  if (typeof key === 'string' && key.length === 1) {
+    return key;
+  }
+  throw new Error('Unsupported key ' + key);
+}
+
+/**
+ * @param {?Array.<string>} modifiers e.g. ['ctrl', 'shift']
+ * @returns {number}
+ */
+function getModifierMask(modifiers) {
+  return (modifiers || []).reduce((mask, modifier) => {
+    const value = MODIFIERS[String(modifier).toLowerCase()];
+    if (!value) {
+      throw new Error('Unsupported modifier ' + modifier);
+    }
+    return mask | value; // eslint-disable-line no-bitwise
+  }, 0);
+}
+
+module.exports = {
+  getKeyCode,
+  getModifierMask,
+};
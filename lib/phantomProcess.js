@@ -0,0 +1,140 @@
+const net = require('net');
+const childProcess = require('child_process');
+const phantom = require('phantom');
+const debug = require('debug')('phantomProcess');
+const { ProcessStartTimeoutError } = require('./errors');
+
+const FIRST_PORT = 13200;
+const LAST_PORT = 65535;
+
+/**
+ * Next port to probe. Probing continues after the last handed out port, because the phantom bridge binds it a bit later
+ * and probing from the start could return the same port twice
+ * @type {number}
+ */
+let nextPort = FIRST_PORT;
+
+/**
+ * Host which the phantom bridge binds its server to
+ * @type {string}
+ */
+const HOSTNAME = 'localhost';
+
+/**
+ * @param {number} port
+ * @returns {Promise.<boolean>}
+ */
+function isPortFree(port) {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.unref();
+    server.once('error', () => resolve(false));
+    server.listen(port, HOSTNAME, () => server.close(() => resolve(true)));
+  });
+}
+
+/**
+ * Probe ports one by one starting after the last allocated one
+ * @returns {Promise.<number>}
+ */
+async function findFreePort() {
+  for (let i = FIRST_PORT; i <= LAST_PORT; i += 1) {
+    const port = nextPort;
+    nextPort = nextPort >= LAST_PORT ? FIRST_PORT : nextPort + 1;
+    if (await isPortFree(port)) { // eslint-disable-line no-await-in-loop
+      return port;
+    }
+    debug('Port %d is busy', port);
+  }
+  throw new Error('No free port found for PhantomJS');
+}
+
+/**
+ * Command line flags of phantom process built from environment options
+ * @param {PhantomEnvironmentOptions} options
+ * @returns {Array.<string>}
+ */
+function getFlags(options) {
+  const flags = [];
+  flags.push('--load-images=' + options.loadImages);
+  flags.push('--ignore-ssl-errors=' + options.ignoreSslErrors);
+  flags.push('--ssl-protocol=' + options.sslProtocol);
+  flags.push('--web-security=' + options.webSecurity);
+
+  if (options.cookiesFile !== null) {
+    flags.push('--cookies-file=' + options.cookiesFile);
+  }
+  return flags;
+}
+
+/**
+ * Start the process, `startTimeout` option limits the spawn itself, a process which starts later is stopped
+ * @param {PhantomEnvironmentOptions} options
+ * @param {function(number, string)} onExit
+ * @returns {Promise.<object>} phantom instance
+ */
+async function createPhantom(options, onExit) {
+  // dnode options for compilation on windows
+  let dnodeOpts = {};
+  if (options.weak === false) {
+    dnodeOpts = { weak: false };
+  }
+
+  const port = options.port || await findFreePort();
+  debug('Starting phantom on port %d', port);
+  const startedAt = Date.now();
+  return new Promise((resolve, reject) => {
+    let timedOut = false;
+    const timer = options.startTimeout ? setTimeout(() => {
+      timedOut = true;
+      reject(new ProcessStartTimeoutError('phantom process', null, options.startTimeout, Date.now() - startedAt));
+    }, options.startTimeout) : null;
+
+    // combine flags, options and callback into args
+    const args = getFlags(options);
+    args.push({
+      port,
+      hostname: HOSTNAME,
+      dnodeOpts,
+      path: options.phantomPath,
+      onExit,
+    });
+    // bridge reports errors like busy port or missing binary as the second argument
+    args.push((phantomInstance, e) => {
+      clearTimeout(timer);
+      if (timedOut) {
+        if (phantomInstance) {
+          phantomInstance.exit();
+        }
+        return;
+      }
+      if (e || !phantomInstance) {
+        reject(e || new Error('PhantomJS process was not started'));
+        return;
+      }
+      resolve(phantomInstance);
+    });
+    phantom.create(...args);
+  });
+}
+
+/**
+ * Resident memory of the process
+ * @param {number} pid
+ * @returns {Promise.<?number>} bytes or null if it could not be measured
+ */
+function getMemoryUsage(pid) {
+  return new Promise((resolve) => {
+    childProcess.execFile('ps', ['-o', 'rss=', '-p', String(pid)], (e, stdout) => {
+      const kilobytes = parseInt(stdout, 10);
+      resolve(e || isNaN(kilobytes) ? null : kilobytes * 1024);
+    });
+  });
+}
+
+module.exports = {
+  findFreePort,
+  getFlags,
+  createPhantom,
+  getMemoryUsage,
+};
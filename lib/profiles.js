@@ -0,0 +1,132 @@
+const sample = require('lodash.sample');
+
+/**
+ * Coherent set of browser properties which are exposed to the site together
+ * @typedef {object} Profile
+ * @property {string} userAgent
+ * @property {Screen} screen
+ * @property {?string} platform navigator.platform, e.g. MacIntel or Win32
+ * @property {?Array.<string>} languages navigator.languages, used for Accept-Language header as well
+ * @property {?string} vendor navigator.vendor
+ * @property {?number} hardwareConcurrency navigator.hardwareConcurrency
+ * @property {?number} timezoneOffset value returned by Date.prototype.getTimezoneOffset, e.g. -60 for UTC+1
+ * @property {?Array.<{name: string, filename: string, description: string}>} plugins navigator.plugins
+ * @property {?object} headers extra headers sent with every request
+ */
+
+/**
+ * @param {string} value
+ * @returns {number}
+ */
+function hash(value) {
+  let result = 0;
+  for (let i = 0; i < value.length; i += 1) {
+    result = ((result * 31) + value.charCodeAt(i)) | 0; // eslint-disable-line no-bitwise
+  }
+  return Math.abs(result);
+}
+
+/**
+ * @param {Array.<Profile>} profiles
+ * @param {?Proxy} [proxy] the same proxy always gets the same profile
+ * @returns {?Profile}
+ */
+function pickProfile(profiles, proxy) {
+  if (!Array.isArray(profiles) || profiles.length === 0) {
+    return null;
+  }
+  if (!proxy) {
+    return sample(profiles);
+  }
+  return profiles[hash(proxy.host + ':' + proxy.port) % profiles.length];
+}
+
+/**
+ * @param {Array.<string>} languages
+ * @returns {string} e.g. en-US,en;q=0.9
+ */
+function formatAcceptLanguage(languages) {
+  return languages
+    .map((language, index) => (index === 0 ? language : language + ';q=' + Math.max(1 - index / 10, 0.1).toFixed(1)))
+    .join(',');
+}
+
+/**
+ * @param {Profile} profile
+ * @returns {object}
+ */
+function getProfileHeaders(profile) {
+  const headers = {};
+  if (Array.isArray(profile.languages) && profile.languages.length > 0) {
+    headers['Accept-Language'] = formatAcceptLanguage(profile.languages);
+  }
+  return Object.assign(headers, profile.headers);
+}
+
+/**
+ * Executed in the page before site scripts
+ * @param {object} profile
+ */
+/* @covignore */
+function patchNavigator(profile) {
+  /* eslint-disable no-undef */
+  const define = (target, name, value) => {
+    try {
+      Object.defineProperty(target, name, { get: () => value, configurable: true });
+    } catch (e) {
+      // property is not configurable in this engine
+    }
+  };
+
+  if (profile.platform) {
+    define(navigator, 'platform', profile.platform);
+  }
+  if (profile.vendor) {
+    define(navigator, 'vendor', profile.vendor);
+  }
+  if (profile.languages) {
+    define(navigator, 'languages', profile.languages);
+    define(navigator, 'language', profile.languages[0]);
+  }
+  if (profile.hardwareConcurrency) {
+    define(navigator, 'hardwareConcurrency', profile.hardwareConcurrency);
+  }
+  if (profile.plugins) {
+    const plugins = profile.plugins.slice();
+    plugins.item = index => plugins[index] || null;
+    plugins.namedItem = name => plugins.filter(plugin => plugin.name === name)[0] || null;
+    plugins.refresh = () => {};
+    define(navigator, 'plugins', plugins);
+  }
+  if (profile.screen) {
+    ['width', 'availWidth'].forEach(name => define(screen, name, profile.screen.width));
+    ['height', 'availHeight'].forEach(name => define(screen, name, profile.screen.height));
+  }
+  if (typeof profile.timezoneOffset === 'number') {
+    Date.prototype.getTimezoneOffset = () => profile.timezoneOffset; // eslint-disable-line no-extend-native
+  }
+  /* eslint-enable no-undef */
+}
+
+/**
+ * @param {Profile} profile
+ * @returns {string} source of the function which patches navigator in the page
+ */
+function createNavigatorPatch(profile) {
+  const data = {
+    platform: profile.platform || null,
+    vendor: profile.vendor || null,
+    languages: profile.languages || null,
+    hardwareConcurrency: profile.hardwareConcurrency || null,
+    plugins: profile.plugins || null,
+    screen: profile.screen || null,
+    timezoneOffset: typeof profile.timezoneOffset === 'number' ? profile.timezoneOffset : null,
+  };
+  return `function () { (${patchNavigator.toString()})(${JSON.stringify(data)}); }`;
+}
+
+module.exports = {
+  pickProfile,
+  getProfileHeaders,
+  createNavigatorPatch,
+};
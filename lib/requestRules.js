@@ -0,0 +1,103 @@
+/**
+ * @typedef {object} RequestRule
+ * @property {?string|RegExp} url regular expression matched against the request url
+ * @property {?string} glob glob matched against the request url, `*` matches anything except `/`, `**` matches
+ * anything, `?` matches one character
+ * @property {?string|Array.<string>} domain host or list of hosts, subdomains match as well
+ * @property {?string|Array.<string>} resourceType one or several of document, stylesheet, script, image, font, xhr,
+ * other
+ * @property {?boolean} block abort matched request
+ * @property {?object} setHeaders headers to set, e.g. {Authorization: 'Bearer token'}
+ * @property {?Array.<string>} removeHeaders names of headers to strip
+ * @property {?{from: string|RegExp, to: string}} rewrite replace part of the url
+ * @property {?string} redirect load another url instead, e.g. a local stand-in
+ * @property {?{body: string, contentType: ?string}} respond serve the body instead of the real response.
+ * PhantomJS can not fake a status code, so the mocked response is always successful
+ */
+
+/**
+ * Regular expression as plain JSON which can be passed to the page or phantom handlers
+ * @param {?string|RegExp} pattern
+ * @returns {?{source: string, flags: string}}
+ */
+function serializePattern(pattern) {
+  if (pattern === undefined || pattern === null) {
+    return null;
+  }
+  if (pattern instanceof RegExp) {
+    return { source: pattern.source, flags: pattern.flags };
+  }
+  return { source: String(pattern), flags: '' };
+}
+
+/**
+ * @param {string} glob
+ * @returns {string} source of the regular expression
+ */
+function globToRegExpSource(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i += 1) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i += 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '.';
+    } else {
+      source += char.replace(/[\\^$.+()|[\]{}]/g, '\\$&');
+    }
+  }
+  return '^' + source + '$';
+}
+
+/**
+ * @param {?string|Array.<string>} value
+ * @returns {?Array.<string>}
+ */
+function toList(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return (Array.isArray(value) ? value : [value]).map(item => String(item).toLowerCase());
+}
+
+/**
+ * Convert rule to plain JSON which can be passed to phantom onResourceRequested handler
+ * @param {RequestRule} rule
+ * @returns {object}
+ */
+function compileRequestRule(rule) {
+  const patterns = [];
+  if (rule.url) {
+    patterns.push(serializePattern(rule.url));
+  }
+  if (rule.glob) {
+    patterns.push({ source: globToRegExpSource(rule.glob), flags: '' });
+  }
+
+  let respond = null;
+  if (rule.respond) {
+    const contentType = rule.respond.contentType || 'text/plain';
+    const body = Buffer.from(String(rule.respond.body || ''), 'utf-8').toString('base64');
+    respond = `data:${contentType};base64,${body}`;
+  }
+
+  return {
+    patterns,
+    domains: toList(rule.domain),
+    resourceTypes: toList(rule.resourceType),
+    block: Boolean(rule.block),
+    setHeaders: rule.setHeaders || null,
+    removeHeaders: rule.removeHeaders || null,
+    rewrite: rule.rewrite ? Object.assign(serializePattern(rule.rewrite.from), { to: rule.rewrite.to }) : null,
+    redirect: rule.redirect || respond,
+  };
+}
+
+module.exports = {
+  compileRequestRule,
+  globToRegExpSource,
+  serializePattern,
+};
@@ -0,0 +1,273 @@
+/**
+ * Values cross the phantom bridge as JSON. Values which JSON can not represent (undefined, NaN, Date, RegExp, Map,
+ * Set, Error, functions and cyclic references) are replaced by tagged objects `{$type: ...}`.
+ * encode() and decode() are installed in the page as well, so they must not use anything outside of their bodies.
+ */
+
+/**
+ * Non-enumerable global of the page which holds encode(), decode() and results of chunked evaluations,
+ * so it is not listed among globals of the window
+ * @type {string}
+ */
+const PAGE_GLOBAL = '__gooseSerialization';
+
+/**
+ * Version of the installed code, a global of another version or a value the page put under the same name is
+ * treated as missing and replaced
+ * @type {number}
+ */
+const VERSION = 1;
+
+/**
+ * @param {*} value
+ * @returns {*} JSON compatible value
+ */
+/* @covignore */
+function encode(value) {
+  // ids are given in the order decode() meets the objects
+  const seen = new Map();
+  const flagsOf = regexp => (regexp.global ? 'g' : '') + (regexp.ignoreCase ? 'i' : '') +
+    (regexp.multiline ? 'm' : '') + (regexp.unicode ? 'u' : '') + (regexp.sticky ? 'y' : '');
+  const walk = (item) => {
+    if (item === undefined) {
+      return { $type: 'undefined' };
+    }
+    if (typeof item === 'number') {
+      if (isNaN(item) || !isFinite(item) || (item === 0 && 1 / item < 0)) {
+        return { $type: 'number', value: item === 0 ? '-0' : String(item) };
+      }
+      return item;
+    }
+    if (item === null || typeof item === 'string' || typeof item === 'boolean') {
+      return item;
+    }
+    if (typeof item === 'function') {
+      return { $type: 'function', source: item.toString() };
+    }
+    if (typeof item !== 'object') {
+      return { $type: 'undefined' };
+    }
+
+    if (seen.has(item)) {
+      return { $type: 'ref', id: seen.get(item) };
+    }
+    seen.set(item, seen.size);
+
+    const tag = Object.prototype.toString.call(item);
+    if (Array.isArray(item)) {
+      const result = [];
+      for (let i = 0; i < item.length; i += 1) {
+        result.push(walk(item[i]));
+      }
+      return result;
+    }
+    if (tag === '[object Date]') {
+      return { $type: 'date', value: item.getTime() };
+    }
+    if (tag === '[object RegExp]') {
+      return { $type: 'regexp', source: item.source, flags: flagsOf(item) };
+    }
+    if (tag === '[object Map]') {
+      const entries = [];
+      item.forEach((entryValue, key) => entries.push([walk(key), walk(entryValue)]));
+      return { $type: 'map', value: entries };
+    }
+    if (tag === '[object Set]') {
+      const entries = [];
+      item.forEach(entryValue => entries.push(walk(entryValue)));
+      return { $type: 'set', value: entries };
+    }
+    if (tag === '[object Error]' || item instanceof Error) {
+      return { $type: 'error', name: item.name, message: item.message, stack: item.stack || null };
+    }
+
+    const result = {};
+    Object.keys(item).forEach((key) => {
+      result[key] = walk(item[key]);
+    });
+    return Object.prototype.hasOwnProperty.call(item, '$type') ? { $type: 'object', value: result } : result;
+  };
+  return walk(value);
+}
+
+/**
+ * @param {*} data value produced by encode()
+ * @param {boolean} [allowFunctions] rebuild functions from their source, otherwise the source is returned.
+ * Never enable it for data coming from the page
+ * @returns {*}
+ */
+/* @covignore */
+function decode(data, allowFunctions) {
+  const refs = [];
+  const fill = (target, source) => {
+    Object.keys(source).forEach((key) => {
+      target[key] = walk(source[key]); // eslint-disable-line no-use-before-define
+    });
+    return target;
+  };
+  const walk = (item) => {
+    if (item === null || typeof item !== 'object') {
+      return item;
+    }
+    let result;
+    if (Array.isArray(item)) {
+      result = [];
+      refs.push(result);
+      item.forEach(entry => result.push(walk(entry)));
+      return result;
+    }
+
+    switch (item.$type) {
+      case undefined:
+        result = {};
+        refs.push(result);
+        return fill(result, item);
+      case 'object':
+        result = {};
+        refs.push(result);
+        return fill(result, item.value);
+      case 'undefined':
+        return undefined;
+      case 'number':
+        return Number(item.value);
+      case 'ref':
+        return refs[item.id];
+      case 'function':
+        return allowFunctions ? new Function('return ' + item.source)() : item.source; // eslint-disable-line no-new-func, max-len
+      case 'date':
+        result = new Date(item.value);
+        break;
+      case 'regexp':
+        result = new RegExp(item.source, item.flags);
+        break;
+      case 'map':
+        result = new Map();
+        refs.push(result);
+        item.value.forEach(entry => result.set(walk(entry[0]), walk(entry[1])));
+        return result;
+      case 'set':
+        result = new Set();
+        refs.push(result);
+        item.value.forEach(entry => result.add(walk(entry)));
+        return result;
+      case 'error':
+        result = new Error(item.message);
+        result.name = item.name;
+        result.stack = item.stack;
+        break;
+      default:
+        result = {};
+        refs.push(result);
+        return fill(result, item);
+    }
+    refs.push(result);
+    return result;
+  };
+  return walk(data);
+}
+
+/**
+ * Source of the page function which makes encode() and decode() available to evaluations in the current document
+ * @returns {string}
+ */
+function createInstallation() {
+  return `function () {
+    var descriptor = Object.getOwnPropertyDescriptor(window, '${PAGE_GLOBAL}');
+    if (descriptor && !descriptor.configurable) {
+      return;
+    }
+    Object.defineProperty(window, '${PAGE_GLOBAL}', {
+      value: Object.freeze({
+        version: ${VERSION},
+        encode: ${encode.toString()},
+        decode: ${decode.toString()},
+        chunks: {}
+      }),
+      enumerable: false,
+      writable: false,
+      configurable: false
+    });
+  }`;
+}
+
+/**
+ * Source of the page function which decodes arguments, calls `fn` and encodes its result.
+ * It returns `{missingSerialization: true}` without calling `fn` if createInstallation() was not evaluated in the
+ * document yet or the global is not the one it installs
+ * @param {string} fnSource
+ * @param {boolean} rejectOnPageError return the exception as data instead of letting phantom resolve to null
+ * @returns {string}
+ */
+function createEvaluation(fnSource, rejectOnPageError) {
+  return `function (encodedArgs) {
+    var serialization = window.${PAGE_GLOBAL};
+    if (!serialization || serialization.version !== ${VERSION}) {
+      return { missingSerialization: true };
+    }
+    try {
+      return { value: serialization.encode((${fnSource}).apply(this, serialization.decode(encodedArgs, true))) };
+    } catch (e) {
+      if (!${Boolean(rejectOnPageError)}) {
+        throw e;
+      }
+      return { error: { message: String(e && e.message || e), stack: e && e.stack || null } };
+    }
+  }`;
+}
+
+/**
+ * Source of the page function which calls `fn` and keeps its result in the page to be read by chunks.
+ * Like any page function it is evaluated through createEvaluation(), so it gets decoded arguments
+ * @param {string} fnSource
+ * @returns {string}
+ */
+function createChunkedEvaluation(fnSource) {
+  return `function (args, key) {
+    try {
+      var result = (${fnSource}).apply(this, args);
+      var isArray = Array.isArray(result);
+      var chunks = window.${PAGE_GLOBAL}.chunks;
+      chunks[key] = isArray ? result : [result];
+      return { value: { length: chunks[key].length, isArray: isArray } };
+    } catch (e) {
+      return { error: { message: String(e && e.message || e), stack: e && e.stack || null } };
+    }
+  }`;
+}
+
+/**
+ * Source of the page function which returns items of the chunked result, the result is released after
+ * the last chunk
+ * @returns {string}
+ */
+function createChunkReader() {
+  return `function (key, start, end) {
+    var chunks = window.${PAGE_GLOBAL}.chunks;
+    var items = chunks[key] || [];
+    var chunk = items.slice(start, end);
+    if (end >= items.length) {
+      delete chunks[key];
+    }
+    return chunk;
+  }`;
+}
+
+/**
+ * Source of the page function which releases the chunked result when reading stops before the last chunk
+ * @returns {string}
+ */
+function createChunkRelease() {
+  return `function (key) {
+    delete window.${PAGE_GLOBAL}.chunks[key];
+  }`;
+}
+
+module.exports = {
+  encode,
+  decode,
+  createInstallation,
+  createEvaluation,
+  createChunkedEvaluation,
+  createChunkReader,
+  createChunkRelease,
+};